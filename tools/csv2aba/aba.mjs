@@ -0,0 +1,1556 @@
+// """
+// csv to aba converter
+//
+// Copyright (c) 2025 Volo1st
+//
+// Spec ref: https://www.cemtexaba.com/aba-format/cemtex-aba-file-format-details/
+//
+// """
+
+// Conversion logic without any DOM access, shared by the page (scripts.js) and the
+// command line (cli.mjs).
+
+import { AU_NATIONAL_HOLIDAYS } from './holidays.mjs';
+
+// Constants
+export const SPACE = ' ';
+export const ZERO = '0';
+export const LINE_LENGTH = 120;
+export const CSV_COLUMNS = new Set(['BSB', 'Reference', 'Name', 'Account', 'Amount']);
+export const OPTIONAL_CSV_COLUMNS = new Set(['Transaction Code', 'Indicator']);
+
+// Originator details written into the descriptive and detail records.
+// The default reproduces what this converter used to hardcode.
+export const DEFAULT_PROFILE = {
+    name: 'Default',
+    fi: 'CBA',                  // Name of User’s Financial Institution, from the preset when blank
+    userName: 'Meya',           // Name of User supplying file
+    apcaId: '00',               // ID of User supplying file, allocated by APCA
+    description: 'PAYROLL',     // Description of entries on file
+    remitter: 'Meya',           // Name of Remitter
+    traceBsb: '',               // Trace Record, the User's own BSB, required
+    traceAccount: '',           // Trace Account Number, the User's own account, required
+    preset: 'GENERIC',          // Output format, one of BANK_PRESETS
+};
+
+/**
+ * Output flavours for each bank's ABA import.
+ * fi                  Name of User’s Financial Institution for the descriptive record, used
+ *                     when the profile has none and required to match when it has one
+ * lineEnding          Separator between records
+ * trailingNewline     Whether the last record is followed by lineEnding
+ * trimTrailingBlanks  Drop the blank fill at the end of each record instead of padding to 120 characters
+ * uppercase           Convert account titles, user and remitter names to uppercase
+ * sanitise            Strip accents and remove characters outside the ABA character set from text fields
+ * balance             Append a balancing record, see generate_balancing_record()
+ *
+ * Banks change their import rules; every setting can be overridden on the page
+ * or through processCsvToAba() options when an upload is rejected.
+ */
+export const BANK_PRESETS = {
+    GENERIC: {
+        label: 'Generic', fi: '', lineEnding: '\n', trailingNewline: true,
+        trimTrailingBlanks: false, uppercase: false, sanitise: false, balance: false,
+    },
+    CBA: {
+        label: 'Commonwealth Bank', fi: 'CBA', lineEnding: '\r\n', trailingNewline: true,
+        trimTrailingBlanks: false, uppercase: false, sanitise: true, balance: false,
+    },
+    NAB: {
+        label: 'National Australia Bank', fi: 'NAB', lineEnding: '\r\n', trailingNewline: true,
+        trimTrailingBlanks: false, uppercase: true, sanitise: true, balance: true,
+    },
+    WBC: {
+        label: 'Westpac', fi: 'WBC', lineEnding: '\r\n', trailingNewline: false,
+        trimTrailingBlanks: false, uppercase: false, sanitise: true, balance: true,
+    },
+    ANZ: {
+        label: 'ANZ', fi: 'ANZ', lineEnding: '\r\n', trailingNewline: true,
+        trimTrailingBlanks: false, uppercase: true, sanitise: true, balance: false,
+    },
+    BQL: {
+        label: 'Bank of Queensland', fi: 'BQL', lineEnding: '\r\n', trailingNewline: true,
+        trimTrailingBlanks: false, uppercase: false, sanitise: true, balance: false,
+    },
+};
+export const FORMAT_OPTIONS = ['lineEnding', 'trailingNewline', 'trimTrailingBlanks', 'uppercase', 'sanitise', 'balance'];
+
+// Equivalent of Python's StrEnum
+export const RecordTypes = {
+    DESCRIPTIVE: '0',
+    DETAIL: '1',
+    FIELD_TOTAL: '7',
+};
+
+/**
+ * Transaction Codes
+ *
+ * Code  Transaction Description
+ * 13    Externally initiated debit items
+ * 50    Externally initiated credit items with the exception of those bearing Transaction Codes
+ * 51    Australian Government Security Interest
+ * 52    Family Allowance
+ * 53    Pay
+ * 54    Pension
+ * 55    Allotment
+ * 56    Dividend
+ * 57    Debenture/Note Interest
+ */
+export const TRANSACTION_CODES = {
+    '13': 'Debit',
+    '50': 'Credit',
+    '51': 'Australian Government Security Interest',
+    '52': 'Family Allowance',
+    '53': 'Pay',
+    '54': 'Pension',
+    '55': 'Allotment',
+    '56': 'Dividend',
+    '57': 'Debenture/Note Interest',
+};
+const DEBIT_TRANSACTION_CODE = '13';
+const CREDIT_TRANSACTION_CODE = '50';
+const DEFAULT_TRANSACTION_CODE = '53';
+
+/**
+ * Descriptive Record (Type 0)
+ * This is the header record that appears at the start of the file.
+ *
+ * Char Pos  Field Size  Field Description                                                                             Specification
+ * 1         1           Record Type 0                                                                                 Must be ‘0’
+ * 2-18      17          Blank                                                                                         Must be space filled
+ * 19-20     2           Reel Sequence Number                                                                          Must be numeric starting at 01. Right justified, zero filled
+ * 21-23     3           Name of User’s Financial Institution                                                          Must be approved Financial Institution abbreviation. Bank of Queensland’s abbreviation is BQL, Westpac’s abbreviation is “WBC”. Consult your Bank for correct abbreviation.
+ * 24-30     7           Blank                                                                                         Must be space filled
+ * 31-56     26          Name of User supplying file                                                                   Must be User Preferred Specification as advised by User’s FI. Left justified, blank filled. All coded character set valid. Must not be all blanks.
+ * 57-62     6           ID of User supplying file                                                                     Must be User Identification Number which is allocated by APCA. Must be numeric, right justified, zero filled.
+ * 63-74     12          Description of entries on file e.g. “PAYROLL”                                                 All coded character set valid. Must not be all blanks. Left justified, blank filled.
+ * 75-80     6           Date to be processed (i,e. the date transactions are released to all Financial Institutions)  Must be numeric in the formal of DDMMYY. Must be a valid date. Zero filled.
+ * 81-120    40          Blank                                                                                         Must be space filled
+ *
+ *
+ * Note: all unused fields must be blank filled
+ *
+ * An example type 0 descriptive record for a user name “MY NAME” for the bank BQL is shown below. Note trailing spaces may not be apparent.
+ *
+ * 0                 01BQL       MY NAME                   1111111004231633  230410
+ *
+ * @param {Object} profile - Originator profile, see DEFAULT_PROFILE.
+ * @param {Date} [date] - Date to be processed, defaults to today.
+ * @param {number} [reelSequence] - Position of the file when a batch is split, starting at 1.
+ */
+export function generate_descriptive_record(profile, date = new Date(), reelSequence = 1) {
+    const processDate = formatDateDDMMYY(date);
+
+    const origin = [
+        RecordTypes.DESCRIPTIVE,            // record type
+        SPACE.repeat(17),                   // blank
+        String(reelSequence).padStart(2, ZERO), // Reel Sequence Number (rjust)
+        profile.fi,                         // Name of User’s Financial Institution
+        SPACE.repeat(7),                    // blank
+        profile.userName.padEnd(26, SPACE), // Name of User supplying file (ljust)
+        profile.apcaId.padStart(6, ZERO),   // ID of User supplying file (rjust)
+        profile.description.padEnd(12, SPACE), // Description of entries on file e.g. “PAYROLL” (ljust)
+        processDate,                        // Date to be processed DDMMYY
+        SPACE.repeat(40),                   // blank
+    ];
+
+    const descriptive_record = origin.join('');
+    // Equivalent of assert len(descriptive_record) == LINE_LENGTH
+    if (descriptive_record.length !== LINE_LENGTH) {
+        throw new Error(`Assertion failed: Descriptive record length is ${descriptive_record.length}, expected ${LINE_LENGTH}`);
+    }
+
+    return descriptive_record;
+}
+
+
+/**
+ * Detail Record (Type 1)
+ * These records contain the individual transaction details. An optional terminating balancing record is required by some banks to net out the debits and credits totals.
+ *
+ * Char Pos  Field Size  Field Description                            Specification
+ * 1         1           Record Type 1                                Must be ‘1’
+ * 2-8       7           Bank/State/Branch Number                     Must be numeric with hyphen in character position 5. Character positions 2 and 3 must equal valid Financial Institution number. Character position 4 must equal a valid state number (0-9). For credits to Employee Benefits Card accounts, field must always contain BSB 032-898
+ * 9-17      9           Account number to be credited/debited        Numeric, hyphens and blanks only are valid. Must not contain all blanks (unless a credit card transaction) or zeros. Leading zeros which are part of a valid account number must be shown, e.g. 00-1234. Where account number exceeds nine characters, edit out hyphens. Right justified, blank filled.
+ *                                                                         For credits to Employee Benefits Card accounts, Account Number field must always be 999999
+ * 18        1           Indicator                                    ”N” – for new or varied Bank/State/Branch number or name details, otherwise blank filled.
+ *                                                                      Withholding Tax Indicators:
+ *                                                                          “W” – dividend paid to a resident of a country where a double tax agreement is in force.
+ *                                                                          “X” – dividend paid to a resident of any other country.
+ *                                                                          “Y” – interest paid to all non-residents. The amount of withholding tax is to appear in character positions 113-120.
+ *                                                                          Note: Where withholding tax has been deducted the appropriate Indicator as shown above is to be used and will override the normal indicator.
+ * 19-20     2           Transaction Code                             Usually 53 (see Transaction Codes section)
+ * 21-30     10          Amount                                       Only numeric valid. Must be greater than zero. Shown in cents without punctuations. Right justified, zero filled. Unsigned.
+ * 31-62     32          Title of Account to be credited/debited      All coded character set valid. Must not be all blanks. Left justified, blank filled. Desirable Format for Transaction Account credits:
+ *                                                                          - Surname (period) Blank
+ *                                                                          - given name with blanks between each name
+ * 63-80     18          Lodgement Reference                          All coded character set valid. Field must be left justified. No leading spaces, zeroes, hyphens or other characters can be included.
+ *                                                                           For Employee Benefits Card payments, must contain only the 16 character Employee Benefits Card number; for example 5550033890123456.
+ * 81-87     7           Trace Record (BSB Number in format XXX-XXX)  Bank (FI)/State/Branch and account number of User to enable retracing of the entry to its source if necessary. Only numeric and hyphens valid. Character positions 81 & 82 must equal a valid Financial Institution number. Character position 83 must equal a valid State number (0-9). Character position 84 must be a hyphen.
+ * 88-96     9           Trace Account Number                         Right justified, blank filled
+ * 97-112    16          Name of Remitter                             Name of originator of the entry. This may vary from Name of the User. All coded character set valid. Must not contain all blanks. Left justified, blank filled.
+ * 113-120   8           Amount of Withholding Tax                    Numeric only valid. Show in cents without punctuation. Right justified, zero filled. Unsigned.
+ *
+ * Note: all unused fields must be blank filled
+ *
+ * An example type 1 detail record is shown below. Note the transaction code is 53 and that the account number is ficticious. Multiple type 1 detail records are combined to create a full batch.
+ *
+ * 1000-000157108231 530000001234S R SMITH                       TEST BATCH        062-000 12223123MY ACCOUNT      00001200
+ *
+ * The row is expected to have passed validateRow().
+ *
+ * @param {Object} row - Parsed CSV row, 'Transaction Code' defaults to 53 and 'Indicator' to blank when absent.
+ * @param {Object} profile - Originator profile, see DEFAULT_PROFILE.
+ */
+export function generate_detail_record(row, profile) {
+    // XXX note from the example csv we might have trailing blank rows
+    if (isBlankRow(row)) {
+        return [null, null];
+    }
+
+    const amount_in_cents = parseAmountToCents(row['Amount']);
+
+    const bsb = row['BSB'].trim();
+    const account = row['Account'].trim();
+    const name = row['Name'].trim();
+    const reference = row['Reference'].trim();
+    const trace_bsb = profile.traceBsb.trim();
+    const trace_account = profile.traceAccount.trim();
+
+    const detail_record = [
+        RecordTypes.DETAIL,                     // 1  Record type for detail
+        bsb,                                    // 7  BSB
+        account.padStart(9, SPACE),             // 9  character Account Number (rjust)
+        (row['Indicator'] || SPACE).trim() || SPACE, // 1  Indicator, N for new or varied details
+        transactionCodeOf(row),                 // 2  transaction_code, 53 means "Pay"
+        String(amount_in_cents).padStart(10, ZERO), // 10 Amount in cents, right-aligned, 10 digits (rjust)
+        name.padEnd(32, SPACE),                 // 32 Title of account (ljust)
+        reference.padEnd(18, SPACE),            // 18 lodgement Reference (ljust)
+        trace_bsb,                              // 7  Trace Record (BSB Number in format XXX-XXX)
+        trace_account.padStart(9, SPACE),       // 9  Trace Account Number (rjust)
+        profile.remitter.padEnd(16, SPACE),     // 16 Name of Remitter (ljust)
+        ZERO.repeat(8),                         // 8  Amount of Withholding Tax, assume no tax
+    ].join('');
+
+    // Equivalent of assert len(detail_record) == LINE_LENGTH
+    if (detail_record.length !== LINE_LENGTH) {
+        throw new Error(`Assertion failed: Detail record length is ${detail_record.length}, expected ${LINE_LENGTH}`);
+    }
+
+    return [detail_record, amount_in_cents];
+}
+
+
+/**
+ * File Total Record (Type 7)
+ * This record appears at the end of the file and contains control totals. If the optional balancing record is included, then the credit and debit totals will be equal and the net total amount will be zero.
+ *
+ * Char Pos  Field Size  Field Description                    Specification
+ * 1         1           Record Type 7                        Must be ‘7’
+ * 2-8       7           BSB Format Filler                    Must be ‘999-999’
+ * 9-20      12          Blank                                Must be space filled
+ * 21-30     10          File (User) Net Total Amount         Numeric only valid. Must equal the difference between File Credit & File Debit Total Amounts. Show in cents without punctuation. Right justified, zero filled. Unsigned.
+ * 31-40     10          File (User) Credit Total Amount      Numeric only valid. Must equal the accumulated total of credit Detail Record amounts. Show in cents without punctuation. Right justified, zero filled. Unsigned.
+ * 41-50     10          File (User) Debit Total Amount       Numeric only valid. Must equal the accumulated total of debit Detail Record amounts. Show in cents without punctuation. Right justified, zero filled. Unsigned.
+ * 51-74     24          Blank                                Must be space filled
+ * 75-80     6           File (user) count of Records Type 1  Numeric only valid. Must equal accumulated number of Record Type 1 items on the file. Right justified, zero filled.
+ * 81-120    40          Blank                                Must be space filled
+ *
+ * Note: all unused fields must be blank filled
+ *
+ * An example type 8 file total record is shown below. The net total and credit total amounts assume four of the above example type 1 records were included in the batch (record count = 4). Note the example below may not show all trailing spaces.
+ *
+ * 7999-999            000312924700031292470000000000                        000004
+ */
+export function generate_file_total_record(aba_content, credit_total, debit_total) {
+    // The number of detail records is the total number of records minus the descriptive record (index 0)
+    const detail_record_count = aba_content.length - 1;
+    const net_total = Math.abs(credit_total - debit_total);
+
+    const trailer_record = [
+        RecordTypes.FIELD_TOTAL,                    // Record type 7
+        '999-999',                                  // BSB Format Filler
+        SPACE.repeat(12),                           // BLANK
+        String(net_total).padStart(10, ZERO),       // File (User) Net Total Amount (rjust)
+        String(credit_total).padStart(10, ZERO),    // File (User) Credit Total Amount (rjust)
+        String(debit_total).padStart(10, ZERO),     // File (User) Debit Total Amount (rjust)
+        SPACE.repeat(24),                           // BLANK
+        String(detail_record_count).padStart(6, ZERO), // Number of transactions (detailed record) (rjust)
+        SPACE.repeat(40),                           // BLANK
+    ].join('');
+
+    // Equivalent of assert len(trailer_record) == LINE_LENGTH
+    if (trailer_record.length !== LINE_LENGTH) {
+        throw new Error(`Assertion failed: Trailer record length is ${trailer_record.length}, expected ${LINE_LENGTH}`);
+    }
+
+    return trailer_record;
+}
+
+/**
+ * Balancing Record
+ * An optional detail record against the User’s own (trace) account which nets
+ * the file out, so the credit and debit totals are equal and the net total is zero.
+ * Credits are balanced by debiting the User’s account, debits by crediting it.
+ *
+ * @param {Object} profile - Originator profile, traceBsb and traceAccount must be set.
+ * @param {number} credit_total - Credit total in cents of the other detail records.
+ * @param {number} debit_total - Debit total in cents of the other detail records.
+ * @returns {Array} [balancing_record, row], both null when the file is already balanced.
+ */
+export function generate_balancing_record(profile, credit_total, debit_total) {
+    if (credit_total === debit_total) {
+        return [null, null];
+    }
+    const row = {
+        'BSB': profile.traceBsb,
+        'Account': profile.traceAccount,
+        'Name': profile.userName,
+        'Amount': formatCents(Math.abs(credit_total - debit_total)),
+        'Reference': profile.description,
+        'Transaction Code': credit_total > debit_total ? DEBIT_TRANSACTION_CODE : CREDIT_TRANSACTION_CODE,
+    };
+    const [balancing_record] = generate_detail_record(row, profile);
+    return [balancing_record, row];
+}
+
+// --- Validation against the field specifications above ---
+
+const BSB_PATTERN = /^\d{3}-\d{3}$/;
+const ACCOUNT_PATTERN = /^[0-9\- ]{1,9}$/;
+const APCA_ID_PATTERN = /^\d{1,6}$/;
+const FI_PATTERN = /^[A-Z]{3}$/;
+// Printable ASCII, anything else would not occupy exactly one character position
+const CHARSET_PATTERN = /^[\x20-\x7E]*$/;
+export const MAX_AMOUNT_IN_CENTS = 9999999999; // 10 digit amount and total fields
+const MAX_REEL_SEQUENCE = 99; // 2 digit reel sequence number
+
+/**
+ * Thrown when CSV rows or the originator profile do not meet the spec.
+ * Each entry of `errors` is {line, field, message}, line is null for errors not tied to a CSV line.
+ */
+export class AbaValidationError extends Error {
+    constructor(errors) {
+        super(errors.map(formatValidationError).join('\n'));
+        this.name = 'AbaValidationError';
+        this.errors = errors;
+    }
+}
+
+export function formatValidationError(error) {
+    if (error.line === null) {
+        return `${error.field}: ${error.message}`;
+    }
+    return `Line ${error.line}: ${error.field}: ${error.message}`;
+}
+
+/**
+ * Convert an amount such as "$1250.00" to cents.
+ * @param {string} text
+ * @returns {number} Amount in cents, NaN when the text is not a valid amount.
+ */
+export function parseAmountToCents(text) {
+    // XXX note from the example, Little Rabbit is including the dollar sign, we need to get rid of it
+    // Spaces only around the amount, "12 50" is not $1250
+    const amountStr = text.replace(/[$,]/g, '').trim();
+    if (!/^\d+(\.\d{1,2})?$/.test(amountStr)) {
+        return NaN;
+    }
+    return Math.round(parseFloat(amountStr) * 100); // Use Math.round for precision
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || value.trim() === '';
+}
+
+function transactionCodeOf(row) {
+    return isBlank(row['Transaction Code']) ? DEFAULT_TRANSACTION_CODE : row['Transaction Code'].trim();
+}
+
+export function isDebitTransactionCode(code) {
+    return code === DEBIT_TRANSACTION_CODE;
+}
+
+export function isBlankRow(row) {
+    return Array.from(CSV_COLUMNS).every(col => isBlank(row[col]));
+}
+
+function validateBsb(value) {
+    if (!BSB_PATTERN.test(value)) {
+        return 'must be in the format NNN-NNN';
+    }
+    return null;
+}
+
+function validateAccount(value) {
+    if (isBlank(value)) {
+        return 'must not be blank';
+    }
+    if (!ACCOUNT_PATTERN.test(value)) {
+        return 'must be at most 9 characters of digits, hyphens and blanks';
+    }
+    if (!/[1-9]/.test(value)) {
+        return 'must not be all blanks or zeros';
+    }
+    return null;
+}
+
+function validateText(value, size) {
+    if (isBlank(value)) {
+        return 'must not be blank';
+    }
+    if (value.trim().length > size) {
+        return `must be at most ${size} characters`;
+    }
+    if (!CHARSET_PATTERN.test(value)) {
+        return 'contains characters outside the ABA character set';
+    }
+    return null;
+}
+
+/**
+ * Validate a CSV row against the Detail Record (Type 1) field specifications.
+ * @param {Object} row - Parsed CSV row.
+ * @param {number} line - CSV line number reported with each error.
+ * @param {Map<string, Object>} [bsbDirectory] - See parseBsbDirectory(), BSBs are
+ *        only looked up when the directory has entries.
+ * @returns {Array<Object>} Errors as {line, field, message}, empty when valid.
+ */
+export function validateRow(row, line, bsbDirectory) {
+    const value = col => (row[col] || '').trim();
+    const checks = {
+        BSB: validateBsb(value('BSB')),
+        Account: validateAccount(value('Account')),
+        Name: validateText(value('Name'), 32),
+        Reference: validateText(value('Reference'), 18),
+        Amount: null,
+        'Transaction Code': null,
+        Indicator: null,
+    };
+
+    if (checks.BSB === null && bsbDirectory && bsbDirectory.size > 0) {
+        const branch = bsbDirectory.get(value('BSB'));
+        if (!branch) {
+            checks.BSB = 'is not in the BSB directory';
+        } else if (branch.closed) {
+            checks.BSB = `is closed or does not accept electronic payments (${branch.mnemonic} ${branch.branch})`;
+        }
+    }
+
+    if (!['', 'N'].includes(value('Indicator'))) {
+        checks.Indicator = 'must be blank or N, withholding tax indicators are not supported';
+    }
+
+    if (!(transactionCodeOf(row) in TRANSACTION_CODES)) {
+        checks['Transaction Code'] = `must be one of ${Object.keys(TRANSACTION_CODES).join(', ')}`;
+    }
+
+    if (checks.Reference === null && /^[0\-]/.test(value('Reference'))) {
+        checks.Reference = 'must not start with a zero or hyphen';
+    }
+
+    const amount_in_cents = parseAmountToCents(value('Amount'));
+    if (value('Amount').startsWith('-')) {
+        checks.Amount = 'must be greater than zero';
+    } else if (Number.isNaN(amount_in_cents)) {
+        checks.Amount = `"${value('Amount')}" is not a valid amount`;
+    } else if (amount_in_cents <= 0) {
+        checks.Amount = 'must be greater than zero';
+    } else if (amount_in_cents > MAX_AMOUNT_IN_CENTS) {
+        checks.Amount = 'must be at most 10 digits in cents';
+    }
+
+    return Object.entries(checks)
+        .filter(([, message]) => message !== null)
+        .map(([field, message]) => ({ line, field, message }));
+}
+
+/**
+ * Validate every non blank row of the parsed CSV.
+ * @param {Array<Object>} csvData - Parsed CSV data, see parseCsv().
+ * @param {Map<string, Object>} [bsbDirectory] - See validateRow().
+ * @returns {Array<Object>} Errors as {line, field, message}, empty when valid.
+ */
+export function validateCsvData(csvData, bsbDirectory) {
+    const errors = [];
+    csvData.forEach((row, index) => {
+        if (!isBlankRow(row)) {
+            // Rows built by hand have no line number, assume one row per line after the header
+            errors.push(...validateRow(row, row.lineNumber || index + 2, bsbDirectory));
+        }
+    });
+    return errors;
+}
+
+/**
+ * Count and total the rows that will become detail records.
+ * @param {Array<Object>} csvData - Parsed CSV data, see parseCsv().
+ * @returns {{count: number, creditTotal: number, debitTotal: number, skipped: number}}
+ *          Totals in cents, rows with an invalid amount are counted but not totalled.
+ *          Blank rows are skipped.
+ */
+export function summariseRows(csvData) {
+    const summary = { count: 0, creditTotal: 0, debitTotal: 0, skipped: 0 };
+    for (const row of csvData) {
+        if (isBlankRow(row)) {
+            summary.skipped++;
+            continue;
+        }
+        summary.count++;
+        const amount_in_cents = parseAmountToCents(row['Amount'] || '');
+        if (Number.isNaN(amount_in_cents)) {
+            continue;
+        }
+        if (isDebitTransactionCode(transactionCodeOf(row))) {
+            summary.debitTotal += amount_in_cents;
+        } else {
+            summary.creditTotal += amount_in_cents;
+        }
+    }
+    return summary;
+}
+
+/**
+ * Find rows paying the same amount to the same BSB and account, usually a row pasted twice.
+ * @param {Array<Object>} csvData - Parsed CSV data, see parseCsv().
+ * @returns {Array<Array<number>>} Groups of indices into csvData, each with at least two rows.
+ */
+export function findDuplicateRows(csvData) {
+    const groups = new Map();
+    csvData.forEach((row, index) => {
+        if (isBlankRow(row)) {
+            return;
+        }
+        const value = col => (row[col] || '').trim();
+        const key = [value('BSB'), value('Account').replace(/[\s-]/g, ''), parseAmountToCents(value('Amount'))].join('|');
+        groups.set(key, [...(groups.get(key) || []), index]);
+    });
+    return Array.from(groups.values()).filter(indices => indices.length > 1);
+}
+
+/**
+ * Validate an originator profile against the Descriptive Record (Type 0) and
+ * the trace and remitter fields of the Detail Record (Type 1).
+ * The trace BSB and account are the User's own, where returned payments go,
+ * so they are required rather than copied from each payee.
+ * @param {Object} profile
+ * @param {string} [presetName] - One of BANK_PRESETS, whose FI the profile must match.
+ * @returns {Array<Object>} Errors as {line: null, field, message}, empty when valid.
+ */
+export function validateProfile(profile, presetName = 'GENERIC') {
+    const presetFi = BANK_PRESETS[presetName] ? BANK_PRESETS[presetName].fi : '';
+    let fiError = FI_PATTERN.test(profile.fi) ? null : 'must be a 3 letter uppercase abbreviation';
+    if (fiError === null && presetFi !== '' && profile.fi !== presetFi) {
+        fiError = `is ${profile.fi} but the ${presetName} preset is for ${presetFi}, change one of them`;
+    }
+    const checks = {
+        'Profile FI': fiError,
+        'Profile user name': validateText(profile.userName, 26),
+        'Profile APCA user ID': APCA_ID_PATTERN.test(profile.apcaId) ? null : 'must be at most 6 digits',
+        'Profile description': validateText(profile.description, 12),
+        'Profile remitter name': validateText(profile.remitter, 16),
+        'Profile trace BSB': validateBsb(profile.traceBsb || ''),
+        'Profile trace account': validateAccount(profile.traceAccount || ''),
+    };
+
+    return Object.entries(checks)
+        .filter(([, message]) => message !== null)
+        .map(([field, message]) => ({ line: null, field, message }));
+}
+
+/**
+ * Format a date as DDMMYY for the descriptive record.
+ * Equivalent of date.strftime('%d%m%y')
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatDateDDMMYY(date) {
+    const day = String(date.getDate()).padStart(2, ZERO);
+    const month = String(date.getMonth() + 1).padStart(2, ZERO); // Month is 0-indexed
+    const year = String(date.getFullYear()).slice(-2);
+    return `${day}${month}${year}`;
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time, the format used by <input type="date">
+ * and the keys of AU_NATIONAL_HOLIDAYS.
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatDateISO(date) {
+    const day = String(date.getDate()).padStart(2, ZERO);
+    const month = String(date.getMonth() + 1).padStart(2, ZERO);
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD string as a local date.
+ * @param {string} text
+ * @returns {Date|null} null when the text is not a valid date.
+ */
+export function parseDateISO(text) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text || '');
+    if (!match) {
+        return null;
+    }
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null;
+    }
+    return date;
+}
+
+/**
+ * A business day is a weekday that is not an Australian national public holiday.
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function isBusinessDay(date) {
+    const weekday = date.getDay();
+    return weekday !== 0 && weekday !== 6 && !AU_NATIONAL_HOLIDAYS.has(formatDateISO(date));
+}
+
+/**
+ * @param {Date} [from] - Defaults to today.
+ * @returns {Date} The first business day after `from`.
+ */
+export function nextBusinessDay(from = new Date()) {
+    const date = new Date(from.getFullYear(), from.getMonth(), from.getDate() + 1);
+    while (!isBusinessDay(date)) {
+        date.setDate(date.getDate() + 1);
+    }
+    return date;
+}
+
+/**
+ * Check a processing date. Dates in the past are rejected, weekends and public
+ * holidays only produce a warning as the bank will process them on the next business day.
+ * @param {Date} date
+ * @param {Date} [today] - Defaults to today.
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+export function validateProcessingDate(date, today = new Date()) {
+    const errors = [];
+    const warnings = [];
+    const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+
+    if (date < startOfToday) {
+        errors.push(`Processing date ${formatDateISO(date)} is in the past`);
+    }
+    if (date.getDay() === 0 || date.getDay() === 6) {
+        warnings.push(`Processing date ${formatDateISO(date)} is on a weekend`);
+    }
+    const holiday = AU_NATIONAL_HOLIDAYS.get(formatDateISO(date));
+    if (holiday) {
+        warnings.push(`Processing date ${formatDateISO(date)} is a public holiday (${holiday})`);
+    }
+    return { errors, warnings };
+}
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guess the delimiter from the header line, Excel uses ';' in some locales and
+ * copying from a spreadsheet gives tabs.
+ * @param {string} csvText - The content of the CSV file.
+ * @returns {string} One of CSV_DELIMITERS, ',' when nothing else is more frequent.
+ */
+export function detectDelimiter(csvText) {
+    const counts = new Map(CSV_DELIMITERS.map(d => [d, 0]));
+    let quoted = false;
+    for (const c of csvText) {
+        if (c === '"') {
+            quoted = !quoted;
+        } else if (!quoted && (c === '\n' || c === '\r')) {
+            break;
+        } else if (!quoted && counts.has(c)) {
+            counts.set(c, counts.get(c) + 1);
+        }
+    }
+    let delimiter = ',';
+    for (const [candidate, count] of counts) {
+        if (count > counts.get(delimiter)) {
+            delimiter = candidate;
+        }
+    }
+    return delimiter;
+}
+
+/**
+ * Split CSV text into records following RFC 4180: fields may be enclosed in
+ * double quotes, in which case they can contain delimiters, line breaks and
+ * doubled quotes. CRLF, LF and CR line endings and a leading BOM are accepted.
+ * @param {string} csvText - The content of the CSV file.
+ * @param {string} [delimiter] - Defaults to detectDelimiter(csvText).
+ * @returns {Array<{fields: Array<string>, line: number}>} Records with the line they start on.
+ * @throws {AbaValidationError} When a quoted field is not terminated.
+ */
+export function parseCsvRecords(csvText, delimiter) {
+    const text = csvText.replace(/^\uFEFF/, '');
+    delimiter = delimiter || detectDelimiter(text);
+
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+    let quoteLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                if (c === '\n') {
+                    line++;
+                }
+                field += c;
+            }
+        } else if (c === '"' && field === '') {
+            quoted = true;
+            quoteLine = line;
+        } else if (c === delimiter) {
+            fields.push(field);
+            field = '';
+        } else if (c === '\r' || c === '\n') {
+            if (c === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            fields.push(field);
+            records.push({ fields, line: recordLine });
+            fields = [];
+            field = '';
+            line++;
+            recordLine = line;
+        } else {
+            field += c;
+        }
+    }
+
+    if (quoted) {
+        throw new AbaValidationError([{ line: quoteLine, field: 'CSV', message: 'quoted field is not terminated' }]);
+    }
+    if (field !== '' || fields.length > 0) {
+        fields.push(field);
+        records.push({ fields, line: recordLine });
+    }
+    return records;
+}
+
+/**
+ * CSV parser to mimic csv.DictReader.
+ * Assumes the first row is the header.
+ * @param {string} csvText - The content of the CSV file.
+ * @param {string} [delimiter] - Defaults to detectDelimiter(csvText).
+ * @returns {Array<Object>} An array of objects, where each object represents a row
+ *                          and keys are column headers. Each row also has a
+ *                          non-enumerable `lineNumber`, counting the header as line 1.
+ */
+export function parseCsv(csvText, delimiter) {
+    // Skip empty lines
+    const records = parseCsvRecords(csvText, delimiter)
+        .filter(record => record.fields.some(value => value.trim() !== ''));
+    if (records.length === 0) {
+        return [];
+    }
+
+    const header = records[0].fields.map(h => h.trim());
+    const data = [];
+
+    for (const record of records.slice(1)) {
+        const rowObject = {};
+        for (let j = 0; j < header.length; j++) {
+            const value = record.fields[j];
+            rowObject[header[j]] = value ? value.trim() : '';
+        }
+        // Kept out of Object.keys() so it is not mistaken for a column
+        Object.defineProperty(rowObject, 'lineNumber', { value: record.line });
+        data.push(rowObject);
+    }
+    return data;
+}
+
+/**
+ * Read only the header of a CSV file.
+ * @param {string} csvText - The content of the CSV file.
+ * @returns {Array<string>} Column headers, empty when there is no header line.
+ */
+export function parseCsvHeader(csvText) {
+    const header = parseCsvRecords(csvText)
+        .find(record => record.fields.some(value => value.trim() !== ''));
+    return header ? header.fields.map(h => h.trim()) : [];
+}
+
+// Alternative headers recognised for each of CSV_COLUMNS, compared after normalizeHeader(),
+// in order of preference when a CSV has more than one of them
+const HEADER_ALIASES = {
+    BSB: ['bsb', 'bsb number', 'bsb no', 'bank state branch'],
+    Account: ['account', 'acct', 'acc', 'account number', 'account no', 'acct no', 'acc no'],
+    Name: ['name', 'payee', 'payee name', 'account name', 'account title', 'beneficiary'],
+    Amount: ['amount', 'amount aud', 'amt', 'payment', 'payment amount', 'value'],
+    Reference: ['reference', 'ref', 'lodgement reference', 'description', 'memo', 'narrative'],
+    'Transaction Code': ['transaction code', 'txn code', 'tran code', 'code'],
+    Indicator: ['indicator'],
+};
+
+function normalizeHeader(header) {
+    return header.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Suggest which CSV header feeds each of CSV_COLUMNS and OPTIONAL_CSV_COLUMNS.
+ * A mapping saved for the same header takes precedence, then a header named exactly
+ * as the column, then HEADER_ALIASES in order.
+ * @param {Array<string>} header - Column headers of the CSV.
+ * @param {Object} [savedMapping] - Mapping previously used for this header.
+ * @returns {Object<string, string>} Header keyed by column, columns without a match are left out.
+ */
+export function suggestColumnMapping(header, savedMapping = {}) {
+    const mapping = {};
+    for (const col of [...CSV_COLUMNS, ...OPTIONAL_CSV_COLUMNS]) {
+        if (header.includes(savedMapping[col])) {
+            mapping[col] = savedMapping[col];
+            continue;
+        }
+        if (header.includes(col)) {
+            mapping[col] = col;
+            continue;
+        }
+        for (const alias of HEADER_ALIASES[col]) {
+            const match = header.find(h => normalizeHeader(h) === alias);
+            if (match !== undefined) {
+                mapping[col] = match;
+                break;
+            }
+        }
+    }
+    return mapping;
+}
+
+/**
+ * Rename the columns of parsed CSV rows to CSV_COLUMNS and OPTIONAL_CSV_COLUMNS.
+ * @param {Array<Object>} csvData - Parsed CSV data, see parseCsv().
+ * @param {Object<string, string>} mapping - Header keyed by column, see suggestColumnMapping().
+ * @returns {Array<Object>} Rows keyed by CSV_COLUMNS, keeping their `lineNumber`.
+ */
+export function applyColumnMapping(csvData, mapping) {
+    return csvData.map(row => {
+        const mapped = {};
+        for (const [col, header] of Object.entries(mapping)) {
+            mapped[col] = row[header];
+        }
+        Object.defineProperty(mapped, 'lineNumber', { value: row.lineNumber });
+        return mapped;
+    });
+}
+
+// --- BSB directory and payee changes ---
+
+/**
+ * Parse the BSB directory file published by AusPayNet, see bsb-directory.mjs.
+ * A branch is closed when its payments flags no longer include E (electronic),
+ * or when its name says it was closed or merged into another BSB.
+ * @param {string} text - Lines of "BSB","Mnemonic","Branch","Address","Suburb","State","Postcode","Payments flags".
+ * @returns {Map<string, Object>} Branches keyed by BSB in NNN-NNN format, each
+ *          {bsb, mnemonic, branch, address, suburb, state, postcode, flags, closed}.
+ */
+export function parseBsbDirectory(text) {
+    const directory = new Map();
+    for (const { fields } of parseCsvRecords(text, ',')) {
+        const [bsb, mnemonic, branch, address, suburb, state, postcode, flags] = fields.map(field => field.trim());
+        const digits = (bsb || '').replace(/\D/g, '');
+        if (digits.length !== 6) {
+            // Blank lines and headers some copies of the file add
+            continue;
+        }
+        const normalized = `${digits.slice(0, 3)}-${digits.slice(3)}`;
+        const closed = (flags !== undefined && flags !== '' && !flags.includes('E'))
+            || /^closed\b|refer to bsb/i.test(branch || '');
+        directory.set(normalized, {
+            bsb: normalized,
+            mnemonic: mnemonic || '',
+            branch: branch || '',
+            address: address || '',
+            suburb: suburb || '',
+            state: state || '',
+            postcode: postcode || '',
+            flags: flags || '',
+            closed,
+        });
+    }
+    return directory;
+}
+
+/**
+ * Describe the bank and branch of a BSB for display next to a payment.
+ * @param {Map<string, Object>} bsbDirectory - See parseBsbDirectory().
+ * @param {string} bsb
+ * @returns {string} e.g. "CBA Parramatta, NSW", empty when the BSB is unknown.
+ */
+export function describeBsb(bsbDirectory, bsb) {
+    const branch = bsbDirectory.get((bsb || '').trim());
+    if (!branch) {
+        return '';
+    }
+    const place = [branch.branch, branch.state].filter(part => part !== '').join(', ');
+    return `${branch.mnemonic} ${place}${branch.closed ? ' (closed)' : ''}`;
+}
+
+function normalizeName(name) {
+    return (name || '').trim().toUpperCase().replace(/\s+/g, ' ');
+}
+
+function normalizeAccount(account) {
+    return (account || '').replace(/[\s-]/g, '');
+}
+
+/**
+ * Set the 'Indicator' column to N for payees whose details changed since a
+ * previous run: a known name with a different BSB or account, a known BSB and
+ * account with a different name, or a payee not paid before.
+ * @param {Array<Object>} csvData - Parsed CSV data, see parseCsv().
+ * @param {Array<{bsb: string, account: string, name: string}>} [previousPayees] - Payees
+ *        of the previous run. Nothing is marked without one, as every payee would be new.
+ * @returns {Array<Object>} Copies of the rows, keeping their `lineNumber`.
+ */
+export function markChangedPayees(csvData, previousPayees) {
+    // A payee may have been paid into more than one account, and an account under more than one name
+    const byName = new Map();
+    const byAccount = new Map();
+    const add = (map, key, value) => map.set(key, (map.get(key) || new Set()).add(value));
+    for (const payee of previousPayees || []) {
+        const account = `${payee.bsb.trim()} ${normalizeAccount(payee.account)}`;
+        add(byName, normalizeName(payee.name), account);
+        add(byAccount, account, normalizeName(payee.name));
+    }
+
+    return csvData.map(row => {
+        const marked = { ...row };
+        Object.defineProperty(marked, 'lineNumber', { value: row.lineNumber });
+        if (byName.size === 0 || isBlankRow(row) || !isBlank(row['Indicator'])) {
+            return marked;
+        }
+        const name = normalizeName(row['Name']);
+        const account = `${(row['BSB'] || '').trim()} ${normalizeAccount(row['Account'])}`;
+        const changed = byName.has(name)
+            ? !byName.get(name).has(account)
+            : !(byAccount.has(account) && byAccount.get(account).has(name));
+        if (changed) {
+            marked['Indicator'] = 'N';
+        }
+        return marked;
+    });
+}
+
+/**
+ * The payees of a run, to compare the next run against with markChangedPayees().
+ * @param {Array<Object>} csvData - Parsed CSV data, see parseCsv().
+ * @returns {Array<{bsb: string, account: string, name: string}>}
+ */
+export function payeesOf(csvData) {
+    return csvData.filter(row => !isBlankRow(row)).map(row => ({
+        bsb: row['BSB'].trim(),
+        account: row['Account'].trim(),
+        name: row['Name'].trim(),
+    }));
+}
+
+// --- Reading ABA files back, field positions as in the generate_*_record functions ---
+
+// [start, end) offsets of each field, i.e. char pos minus one
+const DESCRIPTIVE_FIELDS = {
+    reelSequence: [18, 20],
+    fi: [20, 23],
+    userName: [30, 56],
+    apcaId: [56, 62],
+    description: [62, 74],
+    processDate: [74, 80],
+};
+
+const DETAIL_FIELDS = {
+    bsb: [1, 8],
+    account: [8, 17],
+    indicator: [17, 18],
+    transactionCode: [18, 20],
+    amount: [20, 30],
+    name: [30, 62],
+    reference: [62, 80],
+    traceBsb: [80, 87],
+    traceAccount: [87, 96],
+    remitter: [96, 112],
+    withholdingTax: [112, 120],
+};
+
+const FILE_TOTAL_FIELDS = {
+    netTotal: [20, 30],
+    creditTotal: [30, 40],
+    debitTotal: [40, 50],
+    count: [74, 80],
+};
+
+const AMOUNT_FIELDS = new Set(['amount', 'withholdingTax', 'netTotal', 'creditTotal', 'debitTotal', 'count']);
+
+function readFields(line, fields) {
+    const record = {};
+    for (const [field, [start, end]] of Object.entries(fields)) {
+        const value = line.slice(start, end).trim();
+        record[field] = AMOUNT_FIELDS.has(field) ? Number(value) : value;
+    }
+    return record;
+}
+
+/**
+ * Parse an ABA file into its records and check the File Total Record (Type 7)
+ * against the detail records.
+ * @param {string} abaText - The content of the ABA file.
+ * @returns {{descriptive: Object|null, details: Array<Object>, total: Object|null, errors: Array<Object>}}
+ *          Records keyed by the names in DESCRIPTIVE_FIELDS, DETAIL_FIELDS and FILE_TOTAL_FIELDS,
+ *          detail records also carry their `line`. Errors as {line, field, message}.
+ */
+export function parseAba(abaText) {
+    const result = { descriptive: null, details: [], total: null, errors: [] };
+    const error = (line, field, message) => result.errors.push({ line, field, message });
+
+    abaText.split(/\r\n|\n|\r/).forEach((line, index) => {
+        const lineNumber = index + 1;
+        if (line.trim() === '') {
+            return;
+        }
+        if (line.length > LINE_LENGTH) {
+            error(lineNumber, 'Record', `length is ${line.length}, expected ${LINE_LENGTH}`);
+        }
+        // Files with trimTrailingBlanks set drop the blank fill
+        line = line.padEnd(LINE_LENGTH, SPACE);
+        switch (line[0]) {
+            case RecordTypes.DESCRIPTIVE:
+                if (result.descriptive !== null) {
+                    error(lineNumber, 'Record', 'more than one descriptive record');
+                }
+                result.descriptive = readFields(line, DESCRIPTIVE_FIELDS);
+                break;
+            case RecordTypes.DETAIL:
+                if (result.total !== null) {
+                    error(lineNumber, 'Record', 'detail record after the file total record');
+                }
+                result.details.push({ ...readFields(line, DETAIL_FIELDS), line: lineNumber });
+                break;
+            case RecordTypes.FIELD_TOTAL:
+                if (result.total !== null) {
+                    error(lineNumber, 'Record', 'more than one file total record');
+                }
+                result.total = readFields(line, FILE_TOTAL_FIELDS);
+                break;
+            default:
+                error(lineNumber, 'Record', `unknown record type "${line[0]}"`);
+        }
+    });
+
+    if (result.descriptive === null) {
+        error(null, 'Record', 'descriptive record (type 0) is missing');
+    }
+    if (result.total === null) {
+        error(null, 'Record', 'file total record (type 7) is missing');
+        return result;
+    }
+
+    let credit_total = 0;
+    let debit_total = 0;
+    for (const detail of result.details) {
+        if (isDebitTransactionCode(detail.transactionCode)) {
+            debit_total += detail.amount;
+        } else {
+            credit_total += detail.amount;
+        }
+    }
+    const checks = [
+        ['Credit total', result.total.creditTotal, credit_total],
+        ['Debit total', result.total.debitTotal, debit_total],
+        ['Net total', result.total.netTotal, Math.abs(credit_total - debit_total)],
+        ['Count', result.total.count, result.details.length],
+    ];
+    for (const [field, recorded, calculated] of checks) {
+        if (recorded !== calculated) {
+            error(null, field, `file total record has ${recorded}, detail records add up to ${calculated}`);
+        }
+    }
+    return result;
+}
+
+/**
+ * Format cents as dollars with two decimals and no punctuation, e.g. 123456 -> "1234.56"
+ * @param {number} cents
+ * @returns {string}
+ */
+export function formatCents(cents) {
+    return `${Math.floor(cents / 100)}.${String(cents % 100).padStart(2, ZERO)}`;
+}
+
+// Quote a CSV field when it contains a quote, delimiter or line break (RFC 4180)
+export function toCsvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert the detail records of a parsed ABA file back to the CSV format the converter accepts.
+ * @param {Array<Object>} details - Detail records from parseAba().
+ * @returns {string} CSV content with a header row.
+ */
+export function detailsToCsv(details) {
+    const lines = [['BSB', 'Account', 'Name', 'Amount', 'Reference', 'Transaction Code']];
+    for (const detail of details) {
+        lines.push([
+            detail.bsb, detail.account, detail.name, formatCents(detail.amount), detail.reference, detail.transactionCode,
+        ]);
+    }
+    return lines.map(fields => fields.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// --- Payee book and payment history ---
+
+/**
+ * Key of a payee in the payee book, the same payee whatever the case and spacing
+ * of the name or the punctuation of the account.
+ * @param {{name: string, bsb: string, account: string}} payee
+ * @returns {string}
+ */
+export function payeeKey(payee) {
+    return [normalizeName(payee.name), (payee.bsb || '').trim(), normalizeAccount(payee.account)].join('|');
+}
+
+/**
+ * SHA-256 of an ABA file, the content hash kept in the payment history.
+ * @param {string} abaText - The content of the ABA file.
+ * @returns {Promise<string>} Lowercase hex digest.
+ */
+export async function hashAba(abaText) {
+    // Node 18 has Web Crypto only as a module, browsers and later Node versions as a global
+    const subtle = globalThis.crypto ? globalThis.crypto.subtle : (await import('node:crypto')).webcrypto.subtle;
+    const digest = await subtle.digest('SHA-256', new TextEncoder().encode(abaText));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, ZERO)).join('');
+}
+
+/**
+ * SHA-256 of the payments of an ABA file, how the payment history recognises the
+ * same run uploaded twice. Leaves out what changes without changing the payments:
+ * the N indicator, which depends on the run before, line endings and trailing blanks.
+ * @param {string} abaText - The content of the ABA file.
+ * @returns {Promise<string>} Lowercase hex digest.
+ */
+export async function hashAbaPayments(abaText) {
+    const records = abaText.split(/\r\n|\r|\n/)
+        .filter(line => line.trim() !== '')
+        .map(line => {
+            const record = line.padEnd(LINE_LENGTH, SPACE);
+            return record[0] === RecordTypes.DETAIL ? record.slice(0, 17) + SPACE + record.slice(18) : record;
+        });
+    return hashAba(records.join('\n'));
+}
+
+/**
+ * Compare the payments of two ABA files payee by payee, see payeeKey().
+ * A payee paid more than once is matched in file order.
+ * @param {Array<Object>} previousDetails - Details of the earlier file, see parseAba().
+ * @param {Array<Object>} currentDetails - Details of the later file.
+ * @returns {Array<{status: string, before: ?Object, after: ?Object}>} One entry per
+ *          payment, status 'added', 'removed', 'changed' (amount, code or reference)
+ *          or 'unchanged', in the order of the later file followed by the removed ones.
+ */
+export function diffAbaPayments(previousDetails, currentDetails) {
+    const previous = new Map();
+    for (const detail of previousDetails) {
+        const key = payeeKey(detail);
+        previous.set(key, [...(previous.get(key) || []), detail]);
+    }
+
+    const diff = currentDetails.map(after => {
+        const before = (previous.get(payeeKey(after)) || []).shift();
+        if (before === undefined) {
+            return { status: 'added', before: null, after };
+        }
+        const changed = before.amount !== after.amount
+            || before.transactionCode !== after.transactionCode
+            || before.reference !== after.reference;
+        return { status: changed ? 'changed' : 'unchanged', before, after };
+    });
+    for (const remaining of previous.values()) {
+        diff.push(...remaining.map(before => ({ status: 'removed', before, after: null })));
+    }
+    return diff;
+}
+
+/**
+ * Combine a bank preset with explicitly given format options.
+ * @param {Object} options - processCsvToAba() options, `preset` names one of BANK_PRESETS.
+ * @returns {Object} Every one of FORMAT_OPTIONS.
+ */
+export function resolveFormat(options) {
+    const presetName = options.preset || 'GENERIC';
+    const preset = BANK_PRESETS[presetName];
+    if (!preset) {
+        throw new Error(`Unknown bank preset "${presetName}", expected one of ${Object.keys(BANK_PRESETS).join(', ')}`);
+    }
+    const format = {};
+    for (const option of FORMAT_OPTIONS) {
+        format[option] = options[option] === undefined ? preset[option] : options[option];
+    }
+    return format;
+}
+
+/**
+ * Prepare text for an ABA field according to the format's uppercase and sanitise settings.
+ * @param {string} text
+ * @param {Object} format - See resolveFormat().
+ * @param {boolean} [isName] - Only names are converted to uppercase.
+ * @returns {string}
+ */
+function sanitiseText(text, format, isName = false) {
+    let result = text;
+    if (format.sanitise) {
+        result = result.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7E]/g, '');
+    }
+    if (format.uppercase && isName) {
+        result = result.toUpperCase();
+    }
+    return result;
+}
+
+function sanitiseRow(row, format) {
+    const sanitised = { ...row };
+    for (const [col, isName] of [['Name', true], ['Reference', false]]) {
+        if (typeof row[col] === 'string') {
+            sanitised[col] = sanitiseText(row[col], format, isName);
+        }
+    }
+    Object.defineProperty(sanitised, 'lineNumber', { value: row.lineNumber });
+    return sanitised;
+}
+
+// The preset names the FI when the profile leaves it blank
+function presetProfile(profile, options) {
+    const preset = BANK_PRESETS[options.preset || 'GENERIC'];
+    return isBlank(profile.fi) && preset ? { ...profile, fi: preset.fi } : { ...profile, fi: profile.fi.trim() };
+}
+
+function sanitiseProfile(profile, format) {
+    return {
+        ...profile,
+        userName: sanitiseText(profile.userName, format, true),
+        description: sanitiseText(profile.description, format),
+        remitter: sanitiseText(profile.remitter, format, true),
+    };
+}
+
+/**
+ * Build the records of one ABA file along with what they contain, for the file
+ * itself (see formatAbaBatch()) and for reports on it (see reports.mjs).
+ * @param {Array<Object>} csvData - Parsed CSV data (array of row objects).
+ * @param {Object} [profile] - Originator profile, defaults to DEFAULT_PROFILE.
+ * @param {Object} [options] - See processCsvToAba().
+ * @returns {Object} {format, profile, processDate, reelSequence, records, payments, total}:
+ *          the resolved FORMAT_OPTIONS, the sanitised profile, the records padded to
+ *          120 characters, each detail record read back as by parseAba() with the CSV
+ *          `line` (null for the balancing record) and `balancing`, and the file total
+ *          record read back.
+ * @throws {AbaValidationError} When the profile or any row is invalid, or a total exceeds its 10 digit field.
+ */
+export function buildAbaBatch(csvData, profile = DEFAULT_PROFILE, options = {}) {
+    const format = resolveFormat(options);
+    profile = sanitiseProfile(presetProfile(profile, options), format);
+    csvData = markChangedPayees(csvData.map(row => sanitiseRow(row, format)), options.previousPayees);
+
+    const errors = [
+        ...validateProfile(profile, options.preset),
+        ...validateCsvData(csvData, options.bsbDirectory),
+    ];
+    if (errors.length > 0) {
+        throw new AbaValidationError(errors);
+    }
+
+    const processDate = options.processDate || new Date();
+    const reelSequence = options.reelSequence || 1;
+    const aba_content = [];
+    const payments = [];
+    aba_content.push(generate_descriptive_record(profile, processDate, reelSequence));
+
+    let credit_total = 0;
+    let debit_total = 0;
+
+    for (const row of csvData) {
+        const [detail_record, amount_in_cents] = generate_detail_record(row, profile);
+        if (detail_record !== null && amount_in_cents !== null) {
+            aba_content.push(detail_record);
+            payments.push({ ...readFields(detail_record, DETAIL_FIELDS), line: row.lineNumber || null, balancing: false });
+            if (isDebitTransactionCode(transactionCodeOf(row))) {
+                debit_total += amount_in_cents;
+            } else {
+                credit_total += amount_in_cents;
+            }
+        }
+    }
+
+    if (format.balance) {
+        const [balancing_record, row] = generate_balancing_record(profile, credit_total, debit_total);
+        if (balancing_record !== null) {
+            aba_content.push(balancing_record);
+            payments.push({ ...readFields(balancing_record, DETAIL_FIELDS), line: null, balancing: true });
+            if (isDebitTransactionCode(transactionCodeOf(row))) {
+                debit_total = credit_total;
+            } else {
+                credit_total = debit_total;
+            }
+        }
+    }
+
+    const overflows = [['Credit total', credit_total], ['Debit total', debit_total]]
+        .filter(([, total]) => total > MAX_AMOUNT_IN_CENTS)
+        .map(([field, total]) => ({
+            line: null, field, message: `${formatCents(total)} does not fit the 10 digit field, split the file`,
+        }));
+    if (overflows.length > 0) {
+        throw new AbaValidationError(overflows);
+    }
+
+    const file_total_record = generate_file_total_record(aba_content, credit_total, debit_total);
+    aba_content.push(file_total_record);
+
+    return {
+        format,
+        profile,
+        processDate,
+        reelSequence,
+        records: aba_content,
+        payments,
+        total: readFields(file_total_record, FILE_TOTAL_FIELDS),
+    };
+}
+
+/**
+ * Join the records of a batch into the ABA file content.
+ * @param {Object} batch - See buildAbaBatch().
+ * @returns {string}
+ */
+export function formatAbaBatch(batch) {
+    const { format } = batch;
+    const records = format.trimTrailingBlanks ? batch.records.map(record => record.trimEnd()) : batch.records;
+    // Join lines with the line ending and add a final one at the end unless the bank rejects it
+    return records.join(format.lineEnding) + (format.trailingNewline ? format.lineEnding : '');
+}
+
+/**
+ * Main function logic adapted for browser environment.
+ * Takes parsed CSV data and generates ABA content.
+ * @param {Array<Object>} csvData - Parsed CSV data (array of row objects).
+ * @param {Object} [profile] - Originator profile, defaults to DEFAULT_PROFILE.
+ * @param {Object} [options]
+ * @param {Date} [options.processDate] - Date to be processed, defaults to today.
+ * @param {number} [options.reelSequence] - Reel sequence number, defaults to 1.
+ * @param {string} [options.preset] - One of BANK_PRESETS, defaults to GENERIC. Also sets a blank profile FI.
+ * @param {boolean} [options.balance] - Append a balancing record against the profile’s trace account.
+ *                  This and the other FORMAT_OPTIONS override the preset when given.
+ * @param {Map<string, Object>} [options.bsbDirectory] - Reject BSBs that are unknown or closed, see parseBsbDirectory().
+ *                  BSBs are not looked up when it has no entries.
+ * @param {Array<Object>} [options.previousPayees] - Mark new or varied payees with N, see markChangedPayees().
+ * @returns {string} The complete ABA file content as a string.
+ * @throws {AbaValidationError} When the profile or any row is invalid, or a total exceeds its 10 digit field.
+ */
+export function processCsvToAba(csvData, profile = DEFAULT_PROFILE, options = {}) {
+    return formatAbaBatch(buildAbaBatch(csvData, profile, options));
+}
+
+/**
+ * Split parsed CSV rows into batches small enough for one ABA file each.
+ * Credit and debit totals of a batch are each kept within the amount limit,
+ * which never exceeds what the 10 digit total fields can hold.
+ * @param {Array<Object>} csvData - Parsed and validated CSV data, blank rows are dropped.
+ * @param {Object} [limits]
+ * @param {number} [limits.maxCount] - Maximum number of detail records per batch.
+ * @param {number} [limits.maxAmount] - Maximum credit or debit total per batch in cents.
+ * @returns {Array<Array<Object>>} Batches of rows in their original order.
+ * @throws {AbaValidationError} When a single row exceeds maxAmount.
+ */
+export function splitCsvData(csvData, limits = {}) {
+    const maxCount = limits.maxCount || Infinity;
+    const maxAmount = Math.min(limits.maxAmount || Infinity, MAX_AMOUNT_IN_CENTS);
+
+    const batches = [];
+    let batch = [];
+    let credit_total = 0;
+    let debit_total = 0;
+
+    csvData.forEach((row, index) => {
+        if (isBlankRow(row)) {
+            return;
+        }
+        const amount_in_cents = parseAmountToCents(row['Amount']);
+        if (amount_in_cents > maxAmount) {
+            throw new AbaValidationError([{
+                line: row.lineNumber || index + 2,
+                field: 'Amount',
+                message: `${formatCents(amount_in_cents)} exceeds the limit of ${formatCents(maxAmount)} per file`,
+            }]);
+        }
+        const isDebit = isDebitTransactionCode(transactionCodeOf(row));
+        const total = (isDebit ? debit_total : credit_total) + amount_in_cents;
+        if (batch.length >= maxCount || total > maxAmount) {
+            batches.push(batch);
+            batch = [];
+            credit_total = 0;
+            debit_total = 0;
+        }
+        batch.push(row);
+        if (isDebit) {
+            debit_total += amount_in_cents;
+        } else {
+            credit_total += amount_in_cents;
+        }
+    });
+
+    if (batch.length > 0 || batches.length === 0) {
+        batches.push(batch);
+    }
+    return batches;
+}
+
+/**
+ * Like buildAbaBatch() but splits the rows over several batches, each with
+ * its own reel sequence number and file total record.
+ * @param {Array<Object>} csvData - Parsed CSV data (array of row objects).
+ * @param {Object} [profile] - Originator profile, defaults to DEFAULT_PROFILE.
+ * @param {Object} [options] - processCsvToAba() options plus the splitCsvData() limits
+ *                 `maxCount` and `maxAmount`. A balancing record counts towards maxCount.
+ * @returns {Array<Object>} Batches in reel sequence order, see buildAbaBatch().
+ * @throws {AbaValidationError} When the profile or any row is invalid, or more than 99 files are needed.
+ */
+export function buildAbaBatches(csvData, profile = DEFAULT_PROFILE, options = {}) {
+    const format = resolveFormat(options);
+    // Validate everything up front so errors report every line, not just those of the first file
+    const errors = [
+        ...validateProfile(sanitiseProfile(presetProfile(profile, options), format), options.preset),
+        ...validateCsvData(csvData.map(row => sanitiseRow(row, format)), options.bsbDirectory),
+    ];
+    if (errors.length > 0) {
+        throw new AbaValidationError(errors);
+    }
+
+    const maxCount = options.maxCount && format.balance ? options.maxCount - 1 : options.maxCount;
+    if (maxCount !== undefined && maxCount < 1) {
+        throw new AbaValidationError([{ line: null, field: 'Max count', message: 'leaves no room for detail records' }]);
+    }
+    const batches = splitCsvData(csvData, { maxCount, maxAmount: options.maxAmount });
+    if (batches.length > MAX_REEL_SEQUENCE) {
+        throw new AbaValidationError([{
+            line: null, field: 'Reel sequence', message: `${batches.length} files needed, at most ${MAX_REEL_SEQUENCE} allowed`,
+        }]);
+    }
+    return batches.map((batch, index) => buildAbaBatch(batch, profile, { ...options, reelSequence: index + 1 }));
+}
+
+/**
+ * Like processCsvToAba() but splits the rows over several files, see buildAbaBatches().
+ * @returns {Array<string>} ABA file contents in reel sequence order.
+ * @throws {AbaValidationError} When the profile or any row is invalid, or more than 99 files are needed.
+ */
+export function processCsvToAbaFiles(csvData, profile = DEFAULT_PROFILE, options = {}) {
+    return buildAbaBatches(csvData, profile, options).map(formatAbaBatch);
+}
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build an uncompressed zip archive, ABA files are small enough not to need deflate.
+ * Layout per the PKWARE APPNOTE: a local file header and data for each file,
+ * then the central directory and the end of central directory record.
+ * @param {Array<{name: string, content: string}>} files - Contents are stored as UTF-8.
+ * @param {Date} [date] - Modification time of every entry, defaults to now.
+ * @returns {Uint8Array} The zip file.
+ */
+export function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const UTF8_FLAG = 0x0800;
+
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);   // local file header signature
+        local.setUint16(4, 20, true);           // version needed to extract
+        local.setUint16(6, UTF8_FLAG, true);    // general purpose bit flag
+        local.setUint16(8, 0, true);            // compression method, stored
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // compressed size
+        local.setUint32(22, data.length, true); // uncompressed size
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);           // extra field length
+        parts.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // central file header signature
+        central.setUint16(4, 20, true);         // version made by
+        central.setUint16(6, 20, true);         // version needed to extract
+        central.setUint16(8, UTF8_FLAG, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        // extra field length, comment length, disk number, internal and external attributes stay zero
+        central.setUint32(42, offset, true);    // relative offset of local header
+        centralDirectory.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralDirectory.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);         // end of central directory signature
+    end.setUint16(8, files.length, true);       // entries on this disk
+    end.setUint16(10, files.length, true);      // total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);            // offset of central directory
+
+    const chunks = [...parts, ...centralDirectory, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.length, 0));
+    let position = 0;
+    for (const chunk of chunks) {
+        zip.set(chunk, position);
+        position += chunk.length;
+    }
+    return zip;
+}
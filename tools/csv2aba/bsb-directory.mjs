@@ -0,0 +1,19 @@
+// """
+// Bundled copy of the BSB directory, so BSBs can be looked up offline.
+//
+// The directory is published by AusPayNet (formerly APCA) as a CSV file of
+// "BSB","Mnemonic","Branch","Address","Suburb","State","Postcode","Payments flags"
+// lines without a header, see https://bsb.auspaynet.com.au. It changes monthly.
+//
+// To refresh the bundled copy, paste the content of the downloaded file between
+// the backticks below and set BSB_DIRECTORY_DATE to its publication date. Users
+// can also import a newer file on the csv2aba page, or pass one to the command
+// line with --bsb-directory. While the directory is empty BSBs are not checked,
+// and the page and the command line warn about it.
+//
+// """
+
+export const BSB_DIRECTORY_DATE = '';
+
+export const BSB_DIRECTORY = `
+`;
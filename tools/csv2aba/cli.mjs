@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+// """
+// csv to aba converter, command line
+//
+// Copyright (c) 2025 Volo1st
+//
+// Runs the same conversion as the page (see aba.mjs) for payroll scripts and cron jobs.
+// Exits with 1 on validation errors and 2 on usage errors, including files that
+// cannot be read or written.
+//
+// """
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import {
+    CSV_COLUMNS, DEFAULT_PROFILE, BANK_PRESETS,
+    AbaValidationError, formatValidationError, parseAmountToCents,
+    parseDateISO, formatDateISO, nextBusinessDay, validateProcessingDate,
+    parseCsv, parseCsvHeader, suggestColumnMapping, applyColumnMapping, summariseRows,
+    parseAba, buildAbaBatches, formatAbaBatch, parseBsbDirectory,
+} from './aba.mjs';
+import { BSB_DIRECTORY } from './bsb-directory.mjs';
+import { summaryReportHtml, remittanceAdvices, journalCsv, journalJson } from './reports.mjs';
+
+const USAGE = `Usage: csv2aba <input.csv> [options]
+
+Options:
+  -o, --output <file.aba>     Write the ABA file here instead of stdout. Split files
+                              get the reel sequence number appended, e.g. out-01.aba
+  --profile <profile.json>    Originator profile, as exported from the page
+  --date <YYYY-MM-DD>         Processing date, defaults to the next business day
+  --preset <name>             Bank output format, defaults to the profile's:
+                              ${Object.keys(BANK_PRESETS).join(', ')}
+  --balance / --no-balance    Append a balancing record, overrides the preset
+  --max-count <n>             Split into files of at most n transactions
+  --max-amount <amount>       Split into files of at most this total amount
+  --map <Column=Header>       Read a column from a differently named header, repeatable
+  --bsb-directory <file>      Check BSBs against this AusPayNet BSB directory file
+                              instead of the bundled copy
+  --previous <file.aba>       Mark payees with new or varied details since this run N
+  --report <file.html>        Write a printable summary of the ABA files
+  --remittance <dir>          Write a remittance advice for each payment into this directory
+  --journal <file>            Write the payments for accounting software, as JSON when
+                              the file name ends in .json, otherwise as CSV
+  --json                      Print a JSON report to stdout, requires --output
+  -h, --help                  Show this help
+`;
+
+class UsageError extends Error {}
+
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            output: { type: 'string', short: 'o' },
+            profile: { type: 'string' },
+            date: { type: 'string' },
+            preset: { type: 'string' },
+            balance: { type: 'boolean' },
+            'no-balance': { type: 'boolean' },
+            'max-count': { type: 'string' },
+            'max-amount': { type: 'string' },
+            map: { type: 'string', multiple: true },
+            'bsb-directory': { type: 'string' },
+            previous: { type: 'string' },
+            report: { type: 'string' },
+            remittance: { type: 'string' },
+            journal: { type: 'string' },
+            json: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+
+    if (values.help) {
+        return { help: true };
+    }
+    if (positionals.length !== 1) {
+        throw new UsageError('Expected exactly one input CSV file');
+    }
+    if (values.json && !values.output) {
+        throw new UsageError('--json prints the report to stdout, give the ABA file with --output');
+    }
+    if (values.preset && !BANK_PRESETS[values.preset]) {
+        throw new UsageError(`Unknown preset "${values.preset}", expected one of ${Object.keys(BANK_PRESETS).join(', ')}`);
+    }
+
+    const options = { preset: values.preset };
+    if (values.balance || values['no-balance']) {
+        options.balance = Boolean(values.balance);
+    }
+    if (values['max-count'] !== undefined) {
+        options.maxCount = Number(values['max-count']);
+        if (!Number.isInteger(options.maxCount) || options.maxCount < 1) {
+            throw new UsageError('--max-count must be a positive whole number');
+        }
+    }
+    if (values['max-amount'] !== undefined) {
+        options.maxAmount = parseAmountToCents(values['max-amount']);
+        if (!(options.maxAmount > 0)) {
+            throw new UsageError('--max-amount must be an amount greater than zero');
+        }
+    }
+
+    options.processDate = values.date === undefined ? nextBusinessDay() : parseDateISO(values.date);
+    if (options.processDate === null) {
+        throw new UsageError('--date must be a valid date in the format YYYY-MM-DD');
+    }
+
+    const mapping = {};
+    for (const entry of values.map || []) {
+        const separator = entry.indexOf('=');
+        if (separator < 1) {
+            throw new UsageError(`--map expects Column=Header, got "${entry}"`);
+        }
+        mapping[entry.slice(0, separator)] = entry.slice(separator + 1);
+    }
+
+    return {
+        input: positionals[0],
+        output: values.output,
+        profile: values.profile,
+        bsbDirectory: values['bsb-directory'],
+        previous: values.previous,
+        report: values.report,
+        remittance: values.remittance,
+        journal: values.journal,
+        json: values.json,
+        mapping,
+        options,
+    };
+}
+
+function readProfile(path) {
+    if (!path) {
+        return DEFAULT_PROFILE;
+    }
+    try {
+        // The preset names the FI unless the file does
+        return { ...DEFAULT_PROFILE, fi: '', ...JSON.parse(readFileSync(path, 'utf8')) };
+    } catch (error) {
+        throw new UsageError(`Cannot read profile "${path}": ${error.message}`);
+    }
+}
+
+function readBsbDirectory(path) {
+    if (!path) {
+        return parseBsbDirectory(BSB_DIRECTORY);
+    }
+    let text;
+    try {
+        text = readFileSync(path, 'utf8');
+    } catch (error) {
+        throw new UsageError(`Cannot read BSB directory "${path}": ${error.message}`);
+    }
+    const directory = parseBsbDirectory(text);
+    if (directory.size === 0) {
+        throw new UsageError(`"${path}" has no BSB directory entries`);
+    }
+    return directory;
+}
+
+function readPreviousPayees(path) {
+    if (!path) {
+        return undefined;
+    }
+    let text;
+    try {
+        text = readFileSync(path, 'utf8');
+    } catch (error) {
+        throw new UsageError(`Cannot read previous run "${path}": ${error.message}`);
+    }
+    return parseAba(text).details.map(({ bsb, account, name }) => ({ bsb, account, name }));
+}
+
+function writeOutput(path, content) {
+    try {
+        writeFileSync(path, content);
+    } catch (error) {
+        throw new UsageError(`Cannot write "${path}": ${error.message}`);
+    }
+}
+
+function outputPaths(output, count) {
+    if (count === 1) {
+        return [output];
+    }
+    const base = output.replace(/\.aba$/i, '');
+    return Array.from({ length: count }, (_, i) => `${base}-${String(i + 1).padStart(2, '0')}.aba`);
+}
+
+/**
+ * Convert a CSV file according to the command line.
+ * @param {Object} args - See parseCommandLine().
+ * @returns {Object} Report of the written files and any warnings.
+ * @throws {AbaValidationError} When the processing date, columns or rows are invalid, or there are no rows.
+ */
+function run(args) {
+    const { errors, warnings } = validateProcessingDate(args.options.processDate);
+    if (errors.length > 0) {
+        throw new AbaValidationError(errors.map(message => ({ line: null, field: '--date', message })));
+    }
+
+    let csvText;
+    try {
+        csvText = readFileSync(args.input, 'utf8');
+    } catch (error) {
+        throw new UsageError(`Cannot read "${args.input}": ${error.message}`);
+    }
+    const mapping = { ...suggestColumnMapping(parseCsvHeader(csvText)), ...args.mapping };
+    const missingColumns = Array.from(CSV_COLUMNS).filter(col => !mapping[col]);
+    if (missingColumns.length > 0) {
+        throw new AbaValidationError(missingColumns.map(col => ({
+            line: 1, field: col, message: 'required column is missing, name it with --map',
+        })));
+    }
+
+    const csvData = applyColumnMapping(parseCsv(csvText), mapping);
+    // An ABA file without payments is still a valid file, and would be uploaded unnoticed
+    if (summariseRows(csvData).count === 0) {
+        throw new AbaValidationError([{ line: null, field: 'CSV', message: `"${args.input}" has no payments to convert` }]);
+    }
+    const profile = readProfile(args.profile);
+    // A profile exported from the page carries the bank preset chosen there
+    const options = {
+        ...args.options,
+        preset: args.options.preset || profile.preset,
+        bsbDirectory: readBsbDirectory(args.bsbDirectory),
+        previousPayees: readPreviousPayees(args.previous),
+    };
+    if (options.bsbDirectory.size === 0) {
+        warnings.push('BSBs were not checked, no BSB directory is bundled, pass the AusPayNet BSB directory file with --bsb-directory');
+    }
+    const batches = buildAbaBatches(csvData, profile, options);
+    const files = batches.map(formatAbaBatch);
+    if (files.length > 1 && !args.output) {
+        throw new UsageError(`The batch was split into ${files.length} files, give a file name with --output`);
+    }
+
+    const paths = args.output ? outputPaths(args.output, files.length) : [null];
+    const reports = [];
+    const report = {
+        ok: true,
+        processDate: formatDateISO(args.options.processDate),
+        warnings,
+        errors: [],
+        files: [],
+    };
+    files.forEach((content, i) => {
+        if (paths[i] === null) {
+            process.stdout.write(content);
+        } else {
+            writeOutput(paths[i], content);
+        }
+        const { descriptive, total } = parseAba(content);
+        report.files.push({
+            path: paths[i],
+            reelSequence: Number(descriptive.reelSequence),
+            count: total.count,
+            creditTotal: total.creditTotal,
+            debitTotal: total.debitTotal,
+            netTotal: total.netTotal,
+        });
+    });
+
+    if (args.report) {
+        writeOutput(args.report, summaryReportHtml(batches, { names: paths[0] === null ? undefined : paths }));
+        reports.push(args.report);
+    }
+    if (args.remittance) {
+        try {
+            mkdirSync(args.remittance, { recursive: true });
+        } catch (error) {
+            throw new UsageError(`Cannot create "${args.remittance}": ${error.message}`);
+        }
+        for (const advice of remittanceAdvices(batches)) {
+            writeOutput(join(args.remittance, advice.name), advice.content);
+            reports.push(join(args.remittance, advice.name));
+        }
+    }
+    if (args.journal) {
+        writeOutput(args.journal, /\.json$/i.test(args.journal) ? journalJson(batches) : journalCsv(batches));
+        reports.push(args.journal);
+    }
+    report.reports = reports;
+    return report;
+}
+
+function main(argv) {
+    let args;
+    try {
+        args = parseCommandLine(argv);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    try {
+        const report = run(args);
+        if (args.json) {
+            process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+        }
+        for (const warning of report.warnings) {
+            process.stderr.write(`Warning: ${warning}\n`);
+        }
+        return 0;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            process.stderr.write(`${error.message}\n`);
+            return 2;
+        }
+        if (!(error instanceof AbaValidationError)) {
+            throw error;
+        }
+        if (args.json) {
+            process.stdout.write(JSON.stringify({ ok: false, errors: error.errors, files: [] }, null, 2) + '\n');
+        }
+        process.stderr.write(`${error.errors.length} problem(s) found\n${error.errors.map(formatValidationError).join('\n')}\n`);
+        return 1;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
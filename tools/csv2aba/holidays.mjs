@@ -0,0 +1,65 @@
+// """
+// Australian national public holidays, bundled so the processing date can be
+// checked offline.
+//
+// Only holidays observed in every state are listed, including the additional
+// weekday given when New Year’s Day, Australia Day, Christmas Day or Boxing Day
+// fall on a weekend. State holidays (e.g. King’s Birthday, Labour Day) vary and
+// are not included; check with your bank. Extend the list below each year.
+//
+// """
+
+export const AU_NATIONAL_HOLIDAYS = new Map([
+    // 2025
+    ['2025-01-01', 'New Year’s Day'],
+    ['2025-01-27', 'Australia Day (observed)'],
+    ['2025-04-18', 'Good Friday'],
+    ['2025-04-21', 'Easter Monday'],
+    ['2025-04-25', 'Anzac Day'],
+    ['2025-12-25', 'Christmas Day'],
+    ['2025-12-26', 'Boxing Day'],
+    // 2026
+    ['2026-01-01', 'New Year’s Day'],
+    ['2026-01-26', 'Australia Day'],
+    ['2026-04-03', 'Good Friday'],
+    ['2026-04-06', 'Easter Monday'],
+    ['2026-04-25', 'Anzac Day'],
+    ['2026-12-25', 'Christmas Day'],
+    ['2026-12-26', 'Boxing Day'],
+    ['2026-12-28', 'Boxing Day (additional)'],
+    // 2027
+    ['2027-01-01', 'New Year’s Day'],
+    ['2027-01-26', 'Australia Day'],
+    ['2027-03-26', 'Good Friday'],
+    ['2027-03-29', 'Easter Monday'],
+    ['2027-04-25', 'Anzac Day'],
+    ['2027-12-25', 'Christmas Day'],
+    ['2027-12-26', 'Boxing Day'],
+    ['2027-12-27', 'Christmas Day (additional)'],
+    ['2027-12-28', 'Boxing Day (additional)'],
+    // 2028
+    ['2028-01-01', 'New Year’s Day'],
+    ['2028-01-03', 'New Year’s Day (additional)'],
+    ['2028-01-26', 'Australia Day'],
+    ['2028-04-14', 'Good Friday'],
+    ['2028-04-17', 'Easter Monday'],
+    ['2028-04-25', 'Anzac Day'],
+    ['2028-12-25', 'Christmas Day'],
+    ['2028-12-26', 'Boxing Day'],
+    // 2029
+    ['2029-01-01', 'New Year’s Day'],
+    ['2029-01-26', 'Australia Day'],
+    ['2029-03-30', 'Good Friday'],
+    ['2029-04-02', 'Easter Monday'],
+    ['2029-04-25', 'Anzac Day'],
+    ['2029-12-25', 'Christmas Day'],
+    ['2029-12-26', 'Boxing Day'],
+    // 2030
+    ['2030-01-01', 'New Year’s Day'],
+    ['2030-01-28', 'Australia Day (observed)'],
+    ['2030-04-19', 'Good Friday'],
+    ['2030-04-22', 'Easter Monday'],
+    ['2030-04-25', 'Anzac Day'],
+    ['2030-12-25', 'Christmas Day'],
+    ['2030-12-26', 'Boxing Day'],
+]);
@@ -0,0 +1,228 @@
+// """
+// csv to aba converter, reports
+//
+// Copyright (c) 2025 Volo1st
+//
+// Summary report, remittance advices and accounting journal for the batches
+// buildAbaBatches() turns into ABA files, so they always agree with the files.
+//
+// """
+
+import { TRANSACTION_CODES, ZERO, formatCents, formatDateISO, isDebitTransactionCode, toCsvField } from './aba.mjs';
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+// DD/MM/YYYY as Australian readers expect
+function formatDate(date) {
+    return `${String(date.getDate()).padStart(2, ZERO)}/${String(date.getMonth() + 1).padStart(2, ZERO)}/${date.getFullYear()}`;
+}
+
+function formatDollars(cents) {
+    return `$${formatCents(cents).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+}
+
+function describeTransactionCode(code) {
+    return TRANSACTION_CODES[code] ? `${code} ${TRANSACTION_CODES[code]}` : code;
+}
+
+// Print friendly page, each `.page` starts on a new sheet
+const STYLE = `
+body { font-family: sans-serif; font-size: 10pt; margin: 2em; }
+table { border-collapse: collapse; margin: 1em 0; }
+th, td { border: 1px solid #999; padding: 2px 6px; text-align: left; }
+td.amount, th.amount { text-align: right; }
+tfoot td { font-weight: bold; }
+.page + .page { page-break-before: always; }
+@media print { body { margin: 0; } }
+`;
+
+function htmlDocument(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>${STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function htmlTable(headers, rows, footer) {
+    const cell = (tag, value) => tag === 'td' && typeof value === 'object'
+        ? `<td class="${value.className}">${escapeHtml(value.text)}</td>`
+        : `<${tag}>${escapeHtml(value)}</${tag}>`;
+    const row = (tag, values) => `<tr>${values.map(value => cell(tag, value)).join('')}</tr>`;
+    return `<table>
+<thead>${row('th', headers)}</thead>
+<tbody>
+${rows.map(values => row('td', values)).join('\n')}
+</tbody>
+${footer ? `<tfoot>${row('td', footer)}</tfoot>` : ''}
+</table>`;
+}
+
+const amountCell = cents => ({ className: 'amount', text: cents === '' ? '' : formatDollars(cents) });
+
+/**
+ * Printable summary of ABA files for the audit trail: the descriptive record
+ * details, every detail record and the file total record of each file.
+ * @param {Array<Object>} batches - See buildAbaBatches().
+ * @param {Object} [options]
+ * @param {Array<string>} [options.names] - File name of each batch.
+ * @param {Date} [options.generatedAt] - When the files were generated, defaults to now.
+ * @returns {string} A complete HTML document.
+ */
+export function summaryReportHtml(batches, options = {}) {
+    const generatedAt = options.generatedAt || new Date();
+    const pages = batches.map((batch, index) => {
+        const { profile, total } = batch;
+        const name = options.names ? options.names[index] : `Reel ${batch.reelSequence}`;
+        const header = htmlTable(
+            ['File', 'Reel', 'FI', 'User name', 'APCA user ID', 'Description', 'Processing date'],
+            [[name, batch.reelSequence, profile.fi, profile.userName, profile.apcaId, profile.description,
+                formatDate(batch.processDate)]],
+        );
+        const payments = htmlTable(
+            ['Line', 'BSB', 'Account', 'Name', 'Reference', 'Ind.', 'Transaction code', 'Credit', 'Debit'],
+            batch.payments.map(p => {
+                const debit = isDebitTransactionCode(p.transactionCode);
+                return [
+                    p.balancing ? 'balancing' : p.line, p.bsb, p.account, p.name, p.reference, p.indicator,
+                    describeTransactionCode(p.transactionCode),
+                    amountCell(debit ? '' : p.amount), amountCell(debit ? p.amount : ''),
+                ];
+            }),
+            ['', '', '', '', '', '', `${total.count} records`, amountCell(total.creditTotal), amountCell(total.debitTotal)],
+        );
+        const totals = htmlTable(
+            ['Net total', 'Credit total', 'Debit total', 'Count'],
+            [[amountCell(total.netTotal), amountCell(total.creditTotal), amountCell(total.debitTotal), total.count]],
+        );
+        return `<section class="page">
+<h1>${escapeHtml(profile.description)} payment summary</h1>
+${header}
+<h2>Payments</h2>
+${payments}
+<h2>File total record</h2>
+${totals}
+<p>Generated ${escapeHtml(generatedAt.toISOString().slice(0, 16).replace('T', ' '))} UTC</p>
+</section>`;
+    });
+    return htmlDocument(`${batches[0] ? batches[0].profile.description : ''} payment summary`.trim(), pages.join('\n'));
+}
+
+function fileNamePart(text) {
+    return text.trim().replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'payee';
+}
+
+/**
+ * One remittance advice per payment for the payee, the balancing record is left out.
+ * @param {Array<Object>} batches - See buildAbaBatches().
+ * @returns {Array<{name: string, content: string}>} HTML documents named after the
+ *          payee and the CSV line, ready for createZip().
+ */
+export function remittanceAdvices(batches) {
+    const advices = [];
+    for (const batch of batches) {
+        const { profile } = batch;
+        for (const payment of batch.payments.filter(p => !p.balancing)) {
+            const debit = isDebitTransactionCode(payment.transactionCode);
+            const body = `<section class="page">
+<h1>Remittance advice</h1>
+<p>From ${escapeHtml(profile.remitter || profile.userName)}</p>
+<p>To ${escapeHtml(payment.name)}</p>
+<p>${debit ? 'We have requested a debit of' : 'We have paid'} <strong>${escapeHtml(formatDollars(payment.amount))}</strong>
+${debit ? 'from' : 'to'} your account, processed on ${escapeHtml(formatDate(batch.processDate))}.</p>
+${htmlTable(
+    ['BSB', 'Account', 'Reference', 'Transaction code', 'Amount'],
+    [[payment.bsb, payment.account, payment.reference, describeTransactionCode(payment.transactionCode), amountCell(payment.amount)]],
+)}
+<p>It will appear on your statement as "${escapeHtml(payment.remitter)}" with the reference "${escapeHtml(payment.reference)}".</p>
+</section>`;
+            advices.push({
+                name: `${formatDateISO(batch.processDate)}-${fileNamePart(payment.name)}-${batch.reelSequence}-${payment.line === null ? advices.length + 1 : payment.line}.html`,
+                content: htmlDocument(`Remittance advice for ${payment.name}`, body),
+            });
+        }
+    }
+    return advices;
+}
+
+/**
+ * Journal lines for importing the payments into accounting software, one per
+ * detail record including the balancing record.
+ * @param {Array<Object>} batches - See buildAbaBatches().
+ * @returns {Array<Object>} {date, reelSequence, line, name, bsb, account, reference,
+ *          transactionCode, type, amount, balancing}, date as YYYY-MM-DD, type 'credit'
+ *          or 'debit' as in the ABA file and amount in dollars.
+ */
+export function journalEntries(batches) {
+    return batches.flatMap(batch => batch.payments.map(payment => ({
+        date: formatDateISO(batch.processDate),
+        reelSequence: batch.reelSequence,
+        line: payment.line,
+        name: payment.name,
+        bsb: payment.bsb,
+        account: payment.account,
+        reference: payment.reference,
+        transactionCode: payment.transactionCode,
+        type: isDebitTransactionCode(payment.transactionCode) ? 'debit' : 'credit',
+        amount: formatCents(payment.amount),
+        balancing: payment.balancing,
+    })));
+}
+
+const JOURNAL_COLUMNS = {
+    date: 'Date',
+    reelSequence: 'Reel',
+    line: 'Line',
+    name: 'Name',
+    bsb: 'BSB',
+    account: 'Account',
+    reference: 'Reference',
+    transactionCode: 'Transaction Code',
+    type: 'Type',
+    amount: 'Amount',
+    balancing: 'Balancing',
+};
+
+/**
+ * @param {Array<Object>} batches - See buildAbaBatches().
+ * @returns {string} journalEntries() as CSV with a header row.
+ */
+export function journalCsv(batches) {
+    const lines = [Object.values(JOURNAL_COLUMNS)];
+    for (const entry of journalEntries(batches)) {
+        lines.push(Object.keys(JOURNAL_COLUMNS).map(key => {
+            const value = entry[key];
+            return value === null ? '' : typeof value === 'boolean' ? (value ? 'Y' : '') : value;
+        }));
+    }
+    return lines.map(fields => fields.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * @param {Array<Object>} batches - See buildAbaBatches().
+ * @returns {string} The files with their file total record and journalEntries() as JSON.
+ */
+export function journalJson(batches) {
+    const files = batches.map(batch => ({
+        reelSequence: batch.reelSequence,
+        processDate: formatDateISO(batch.processDate),
+        userName: batch.profile.userName,
+        apcaId: batch.profile.apcaId,
+        description: batch.profile.description,
+        creditTotal: formatCents(batch.total.creditTotal),
+        debitTotal: formatCents(batch.total.debitTotal),
+        netTotal: formatCents(batch.total.netTotal),
+        count: batch.total.count,
+        entries: journalEntries([batch]),
+    }));
+    return JSON.stringify({ files }, null, 2) + '\n';
+}
@@ -7,308 +7,769 @@
 //
 // """
 
-// No direct equivalent for Python's csv, sys, datetime, pathlib, enum in a standard browser environment.
-// We will use standard JavaScript features and browser APIs (like FileReader for input, Blob/URL for output).
-
-// Constants
-const SPACE = ' ';
-const ZERO = '0';
-const LINE_LENGTH = 120;
-const CSV_COLUMNS = new Set(['BSB', 'Reference', 'Name', 'Account', 'Amount']);
-
-// Equivalent of Python's StrEnum
-const RecordTypes = {
-    DESCRIPTIVE: '0',
-    DETAIL: '1',
-    FIELD_TOTAL: '7',
+// Browser page for the converter, see aba.mjs for the conversion itself.
+// Uses browser APIs like FileReader for input, Blob/URL for output, localStorage for settings
+// and IndexedDB for the payee book and history (see store.mjs).
+
+import {
+    ZERO, CSV_COLUMNS, OPTIONAL_CSV_COLUMNS, DEFAULT_PROFILE, BANK_PRESETS, FORMAT_OPTIONS,
+    AbaValidationError, formatValidationError, parseAmountToCents,
+    formatDateISO, parseDateISO, nextBusinessDay, validateProcessingDate,
+    parseCsv, parseCsvHeader, suggestColumnMapping, applyColumnMapping,
+    parseAba, formatCents, detailsToCsv, buildAbaBatches, formatAbaBatch, createZip,
+    validateRow, isBlankRow, summariseRows, findDuplicateRows,
+    parseBsbDirectory, describeBsb, markChangedPayees, payeesOf,
+    payeeKey, hashAba, hashAbaPayments, diffAbaPayments,
+} from './aba.mjs';
+import { BSB_DIRECTORY, BSB_DIRECTORY_DATE } from './bsb-directory.mjs';
+import { PAYEES, HISTORY, getAll, getByIndex, putAll, remove } from './store.mjs';
+import { summaryReportHtml, remittanceAdvices, journalCsv, journalJson } from './reports.mjs';
+
+const PROFILE_STORAGE_KEY = 'csv2aba.profiles';
+const COLUMN_MAPPING_STORAGE_KEY = 'csv2aba.columnMappings';
+const BSB_DIRECTORY_STORAGE_KEY = 'csv2aba.bsbDirectory';
+const LAST_RUN_STORAGE_KEY = 'csv2aba.lastRunPayees';
+
+// --- Browser specific code to handle file input and output ---
+
+/**
+ * Read the saved originator profiles from localStorage.
+ * @returns {{selected: string, profiles: Object<string, Object>}} Profiles keyed by name
+ *          and the name of the one last used.
+ */
+function loadProfiles() {
+    let store = null;
+    try {
+        store = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY));
+    } catch (error) {
+        console.error("Error reading saved profiles:", error);
+    }
+    if (!store || !store.profiles || Object.keys(store.profiles).length === 0) {
+        store = {
+            selected: DEFAULT_PROFILE.name,
+            profiles: { [DEFAULT_PROFILE.name]: { ...DEFAULT_PROFILE } },
+        };
+    }
+    if (!store.profiles[store.selected]) {
+        store.selected = Object.keys(store.profiles)[0];
+    }
+    return store;
+}
+
+function saveProfiles(store) {
+    localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(store));
+}
+
+// Profile fields and the ids of the inputs editing them
+const PROFILE_FIELDS = {
+    name: 'profileName',
+    fi: 'profileFi',
+    userName: 'profileUserName',
+    apcaId: 'profileApcaId',
+    description: 'profileDescription',
+    remitter: 'profileRemitter',
+    traceBsb: 'profileTraceBsb',
+    traceAccount: 'profileTraceAccount',
 };
 
+function readProfileForm() {
+    const profile = {};
+    for (const [field, id] of Object.entries(PROFILE_FIELDS)) {
+        profile[field] = document.getElementById(id).value.trim();
+    }
+    profile.preset = document.getElementById('preset').value;
+    return profile;
+}
+
+function fillProfileForm(profile) {
+    for (const [field, id] of Object.entries(PROFILE_FIELDS)) {
+        document.getElementById(id).value = profile[field] || '';
+    }
+    document.getElementById('preset').value = profile.preset || 'GENERIC';
+    fillFormatForm(BANK_PRESETS[document.getElementById('preset').value]);
+}
+
+function renderAbaFileSelect(count) {
+    const select = document.getElementById('abaFiles');
+    select.innerHTML = '';
+    select.hidden = count < 2;
+    abaFilenames(count).names.forEach((name, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+}
+
 /**
- * Descriptive Record (Type 0)
- * This is the header record that appears at the start of the file.
- *
- * Char Pos  Field Size  Field Description                                                                             Specification
- * 1         1           Record Type 0                                                                                 Must be ‘0’
- * 2-18      17          Blank                                                                                         Must be space filled
- * 19-20     2           Reel Sequence Number                                                                          Must be numeric starting at 01. Right justified, zero filled
- * 21-23     3           Name of User’s Financial Institution                                                          Must be approved Financial Institution abbreviation. Bank of Queensland’s abbreviation is BQL, Westpac’s abbreviation is “WBC”. Consult your Bank for correct abbreviation.
- * 24-30     7           Blank                                                                                         Must be space filled
- * 31-56     26          Name of User supplying file                                                                   Must be User Preferred Specification as advised by User’s FI. Left justified, blank filled. All coded character set valid. Must not be all blanks.
- * 57-62     6           ID of User supplying file                                                                     Must be User Identification Number which is allocated by APCA. Must be numeric, right justified, zero filled.
- * 63-74     12          Description of entries on file e.g. “PAYROLL”                                                 All coded character set valid. Must not be all blanks. Left justified, blank filled.
- * 75-80     6           Date to be processed (i,e. the date transactions are released to all Financial Institutions)  Must be numeric in the formal of DDMMYY. Must be a valid date. Zero filled.
- * 81-120    40          Blank                                                                                         Must be space filled
- *
- *
- * Note: all unused fields must be blank filled
- *
- * An example type 0 descriptive record for a user name “MY NAME” for the bank BQL is shown below. Note trailing spaces may not be apparent.
- *
- * 0                 01BQL       MY NAME                   1111111004231633  230410
+ * @returns {{limits: {maxCount: number|undefined, maxAmount: number|undefined}, errors: Array<string>}}
+ *          Limits for buildAbaBatches(), undefined when left blank, and what is wrong with them.
  */
-function generate_descriptive_record() {
-    // Equivalent of datetime.date.today().strftime('%d%m%y')
-    const today = new Date();
-    const day = String(today.getDate()).padStart(2, ZERO);
-    const month = String(today.getMonth() + 1).padStart(2, ZERO); // Month is 0-indexed
-    const year = String(today.getFullYear()).slice(-2);
-    const processDate = `${day}${month}${year}`;
-
-    const origin = [
-        RecordTypes.DESCRIPTIVE,            // record type
-        SPACE.repeat(17),                   // blank
-        "01",                               // Reel Sequence Number
-        "CBA",                              // Name of User’s Financial Institution
-        SPACE.repeat(7),                    // blank
-        "Meya".padEnd(26, SPACE),           // Name of User supplying file (ljust)
-        "00".padStart(6, ZERO),             // ID of User supplying file FIXME needs to find out this (rjust)
-        "PAYROLL".padEnd(12, SPACE),        // Description of entries on file e.g. “PAYROLL” (ljust)
-        processDate,                        // Date to be processed DDMMYY
-        SPACE.repeat(40),                   // blank
-    ];
-
-    const descriptive_record = origin.join('');
-    // Equivalent of assert len(descriptive_record) == LINE_LENGTH
-    if (descriptive_record.length !== LINE_LENGTH) {
-        throw new Error(`Assertion failed: Descriptive record length is ${descriptive_record.length}, expected ${LINE_LENGTH}`);
+function readSplitForm() {
+    const maxCount = document.getElementById('maxCount').value.trim();
+    const maxAmount = document.getElementById('maxAmount').value.trim();
+    const limits = {
+        maxCount: maxCount === '' ? undefined : Number(maxCount),
+        maxAmount: maxAmount === '' ? undefined : parseAmountToCents(maxAmount),
+    };
+    const errors = [];
+    if (limits.maxCount !== undefined && !(Number.isInteger(limits.maxCount) && limits.maxCount >= 1)) {
+        errors.push('Split transactions must be a positive whole number');
+    }
+    if (limits.maxAmount !== undefined && !(limits.maxAmount > 0)) {
+        errors.push('Split total amount must be an amount greater than zero');
+    }
+    return { limits, errors };
+}
+
+function renderPresetSelect() {
+    const select = document.getElementById('preset');
+    for (const [name, preset] of Object.entries(BANK_PRESETS)) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = preset.label;
+        select.appendChild(option);
+    }
+}
+
+// Format options are checkboxes with the option name as id, except the line ending select
+function fillFormatForm(format) {
+    for (const option of FORMAT_OPTIONS) {
+        const input = document.getElementById(option);
+        if (input.type === 'checkbox') {
+            input.checked = format[option];
+        } else {
+            input.value = format[option];
+        }
     }
+}
 
-    return descriptive_record;
+function readFormatForm() {
+    const format = { preset: document.getElementById('preset').value };
+    for (const option of FORMAT_OPTIONS) {
+        const input = document.getElementById(option);
+        format[option] = input.type === 'checkbox' ? input.checked : input.value;
+    }
+    return format;
 }
 
+function renderProfileSelect(store) {
+    const select = document.getElementById('profileSelect');
+    select.innerHTML = '';
+    for (const name of Object.keys(store.profiles)) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    }
+    select.value = store.selected;
+}
 
 /**
- * Detail Record (Type 1)
- * These records contain the individual transaction details. An optional terminating balancing record is required by some banks to net out the debits and credits totals.
- *
- * Char Pos  Field Size  Field Description                            Specification
- * 1         1           Record Type 1                                Must be ‘1’
- * 2-8       7           Bank/State/Branch Number                     Must be numeric with hyphen in character position 5. Character positions 2 and 3 must equal valid Financial Institution number. Character position 4 must equal a valid state number (0-9). For credits to Employee Benefits Card accounts, field must always contain BSB 032-898
- * 9-17      9           Account number to be credited/debited        Numeric, hyphens and blanks only are valid. Must not contain all blanks (unless a credit card transaction) or zeros. Leading zeros which are part of a valid account number must be shown, e.g. 00-1234. Where account number exceeds nine characters, edit out hyphens. Right justified, blank filled.
- *                                                                         For credits to Employee Benefits Card accounts, Account Number field must always be 999999
- * 18        1           Indicator                                    ”N” – for new or varied Bank/State/Branch number or name details, otherwise blank filled.
- *                                                                      Withholding Tax Indicators:
- *                                                                          “W” – dividend paid to a resident of a country where a double tax agreement is in force.
- *                                                                          “X” – dividend paid to a resident of any other country.
- *                                                                          “Y” – interest paid to all non-residents. The amount of withholding tax is to appear in character positions 113-120.
- *                                                                          Note: Where withholding tax has been deducted the appropriate Indicator as shown above is to be used and will override the normal indicator.
- * 19-20     2           Transaction Code                             Usually 53 (see Transaction Codes section)
- * 21-30     10          Amount                                       Only numeric valid. Must be greater than zero. Shown in cents without punctuations. Right justified, zero filled. Unsigned.
- * 31-62     32          Title of Account to be credited/debited      All coded character set valid. Must not be all blanks. Left justified, blank filled. Desirable Format for Transaction Account credits:
- *                                                                          - Surname (period) Blank
- *                                                                          - given name with blanks between each name
- * 63-80     18          Lodgement Reference                          All coded character set valid. Field must be left justified. No leading spaces, zeroes, hyphens or other characters can be included.
- *                                                                           For Employee Benefits Card payments, must contain only the 16 character Employee Benefits Card number; for example 5550033890123456.
- * 81-87     7           Trace Record (BSB Number in format XXX-XXX)  Bank (FI)/State/Branch and account number of User to enable retracing of the entry to its source if necessary. Only numeric and hyphens valid. Character positions 81 & 82 must equal a valid Financial Institution number. Character position 83 must equal a valid State number (0-9). Character position 84 must be a hyphen.
- * 88-96     9           Trace Account Number                         Right justified, blank filled
- * 97-112    16          Name of Remitter                             Name of originator of the entry. This may vary from Name of the User. All coded character set valid. Must not contain all blanks. Left justified, blank filled.
- * 113-120   8           Amount of Withholding Tax                    Numeric only valid. Show in cents without punctuation. Right justified, zero filled. Unsigned.
- *
- * Note: all unused fields must be blank filled
- *
- * An example type 1 detail record is shown below. Note the transaction code is 53 and that the account number is ficticious. Multiple type 1 detail records are combined to create a full batch.
- *
- * 1000-000157108231 530000001234S R SMITH                       TEST BATCH        062-000 12223123MY ACCOUNT      00001200
+ * Column mappings are remembered per CSV header, so the next export from the
+ * same spreadsheet maps without asking.
  */
-function generate_detail_record(row) {
-    // FIXME
-    // - double check if BSB and Acc are the same with trace BSB and acc
-    // -
-    // Equivalent of any(row[c] == '' for c in CSV_COLUMNS)
-    for (const col of CSV_COLUMNS) {
-        if (row[col] === undefined || row[col] === null || row[col].trim() === '') {
-            // XXX note from the example csv we might have trailing blank rows
-            return [null, null];
+function loadColumnMapping(header) {
+    try {
+        const mappings = JSON.parse(localStorage.getItem(COLUMN_MAPPING_STORAGE_KEY)) || {};
+        return mappings[header.join('|')] || {};
+    } catch (error) {
+        console.error("Error reading saved column mappings:", error);
+        return {};
+    }
+}
+
+function saveColumnMapping(header, mapping) {
+    let mappings = {};
+    try {
+        mappings = JSON.parse(localStorage.getItem(COLUMN_MAPPING_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error("Error reading saved column mappings:", error);
+    }
+    mappings[header.join('|')] = mapping;
+    localStorage.setItem(COLUMN_MAPPING_STORAGE_KEY, JSON.stringify(mappings));
+}
+
+function renderColumnMapping(header, mapping) {
+    const container = document.getElementById('columnMapping');
+    container.innerHTML = '';
+    for (const col of [...CSV_COLUMNS, ...OPTIONAL_CSV_COLUMNS]) {
+        const label = document.createElement('label');
+        label.textContent = OPTIONAL_CSV_COLUMNS.has(col) ? `${col} (optional) ` : `${col} `;
+        const select = document.createElement('select');
+        select.dataset.column = col;
+        select.appendChild(document.createElement('option'));
+        for (const h of header) {
+            const option = document.createElement('option');
+            option.value = h;
+            option.textContent = h;
+            select.appendChild(option);
         }
+        select.value = mapping[col] || '';
+        label.appendChild(select);
+        container.appendChild(label);
     }
+}
 
-    // XXX note from the example, Little Rabbit is including the dollar sign, we need to get rid of it
-    const amountStr = row['Amount'].replace('$', '').replace(',', '').trim();
-    const amount_in_cents = Math.round(parseFloat(amountStr) * 100); // Use Math.round for precision
-
-    const bsb = row['BSB'].trim();
-    const account = row['Account'].trim();
-    const name = row['Name'].trim();
-    const reference = row['Reference'].trim();
-
-    const detail_record = [
-        RecordTypes.DETAIL,                     // 1  Record type for detail
-        bsb,                                    // 7  BSB
-        account.padStart(9, SPACE),             // 9  character Account Number (rjust)
-        ' ',                                    // 1  Indicator
-        '53',                                   // 2  transaction_code, 53 means "Pay"
-        String(amount_in_cents).padStart(10, ZERO), // 10 Amount in cents, right-aligned, 10 digits (rjust)
-        name.padEnd(32, SPACE),                 // 32 Title of account (ljust)
-        reference.padEnd(18, SPACE),            // 18 lodgement Reference (ljust)
-        bsb,                                    // 7  Trace Record (BSB Number in format XXX-XXX)
-        account.padStart(9, SPACE),             // 9  Trace Account Number (rjust)
-        "Meya".padEnd(16, SPACE),               // 16 Name of Remitter (ljust)
-        ZERO.repeat(8),                         // 8  Amount of Withholding Tax, assume no tax
-    ].join('');
-
-    // Equivalent of assert len(detail_record) == LINE_LENGTH
-    if (detail_record.length !== LINE_LENGTH) {
-        throw new Error(`Assertion failed: Detail record length is ${detail_record.length}, expected ${LINE_LENGTH}`);
+function readColumnMapping() {
+    const mapping = {};
+    for (const select of document.querySelectorAll('#columnMapping select')) {
+        if (select.value !== '') {
+            mapping[select.dataset.column] = select.value;
+        }
     }
+    return mapping;
+}
+
+// Function to trigger file download
+function downloadAbaFile(abaContent, filename) {
+    downloadFile(abaContent, filename, 'text/plain');
+}
+
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a); // Append to body is necessary for Firefox
+    a.click();
 
-    return [detail_record, amount_in_cents];
+    document.body.removeChild(a); // Clean up the element
+    URL.revokeObjectURL(url); // Free up memory
 }
 
 
+function createTable(headers, rows) {
+    const table = document.createElement('table');
+    const headerRow = table.createTHead().insertRow();
+    for (const header of headers) {
+        const th = document.createElement('th');
+        th.textContent = header;
+        headerRow.appendChild(th);
+    }
+    const tbody = table.createTBody();
+    for (const row of rows) {
+        const tr = tbody.insertRow();
+        for (const value of row) {
+            tr.insertCell().textContent = value;
+        }
+    }
+    return table;
+}
+
 /**
- * File Total Record (Type 7)
- * This record appears at the end of the file and contains control totals. If the optional balancing record is included, then the credit and debit totals will be equal and the net total amount will be zero.
- *
- * Char Pos  Field Size  Field Description                    Specification
- * 1         1           Record Type 7                        Must be ‘7’
- * 2-8       7           BSB Format Filler                    Must be ‘999-999’
- * 9-20      12          Blank                                Must be space filled
- * 21-30     10          File (User) Net Total Amount         Numeric only valid. Must equal the difference between File Credit & File Debit Total Amounts. Show in cents without punctuation. Right justified, zero filled. Unsigned.
- * 31-40     10          File (User) Credit Total Amount      Numeric only valid. Must equal the accumulated total of credit Detail Record amounts. Show in cents without punctuation. Right justified, zero filled. Unsigned.
- * 41-50     10          File (User) Debit Total Amount       Numeric only valid. Must equal the accumulated total of debit Detail Record amounts. Show in cents without punctuation. Right justified, zero filled. Unsigned.
- * 51-74     24          Blank                                Must be space filled
- * 75-80     6           File (user) count of Records Type 1  Numeric only valid. Must equal accumulated number of Record Type 1 items on the file. Right justified, zero filled.
- * 81-120    40          Blank                                Must be space filled
- *
- * Note: all unused fields must be blank filled
- *
- * An example type 8 file total record is shown below. The net total and credit total amounts assume four of the above example type 1 records were included in the batch (record count = 4). Note the example below may not show all trailing spaces.
- *
- * 7999-999            000312924700031292470000000000                        000004
+ * Show a parsed ABA file as tables in #abaView.
+ * @param {Object} parsed - Result of parseAba().
  */
-function generate_file_total_record(aba_content, total_amount) {
-    // The number of detail records is the total number of records minus the descriptive record (index 0)
-    const detail_record_count = aba_content.length - 1;
-
-    const trailer_record = [
-        RecordTypes.FIELD_TOTAL,                    // Record type 7
-        '999-999',                                  // BSB Format Filler
-        SPACE.repeat(12),                           // BLANK
-        String(total_amount).padStart(10, ZERO),    // File (User) Net Total Amount (rjust)
-        String(total_amount).padStart(10, ZERO),    // File (User) Credit Total Amount (rjust)
-        ZERO.repeat(10),                            // File (User) Debit Total Amount (rjust) - Assuming only credits based on the example
-        SPACE.repeat(24),                           // BLANK
-        String(detail_record_count).padStart(6, ZERO), // Number of transactions (detailed record) (rjust)
-        SPACE.repeat(40),                           // BLANK
-    ].join('');
-
-    // Equivalent of assert len(trailer_record) == LINE_LENGTH
-    if (trailer_record.length !== LINE_LENGTH) {
-        throw new Error(`Assertion failed: Trailer record length is ${trailer_record.length}, expected ${LINE_LENGTH}`);
+function renderAbaView(parsed) {
+    const view = document.getElementById('abaView');
+    view.innerHTML = '';
+
+    const errors = document.createElement('p');
+    errors.id = 'abaViewErrors';
+    errors.textContent = parsed.errors.map(formatValidationError).join('\n');
+    view.appendChild(errors);
+
+    if (parsed.descriptive) {
+        const d = parsed.descriptive;
+        view.appendChild(createTable(
+            ['Reel', 'FI', 'User name', 'APCA user ID', 'Description', 'Processing date'],
+            [[d.reelSequence, d.fi, d.userName, d.apcaId, d.description, d.processDate]],
+        ));
     }
 
-    return trailer_record;
+    view.appendChild(createTable(
+        ['Line', 'BSB', 'Account', 'Ind.', 'Code', 'Amount', 'Name', 'Reference', 'Trace BSB', 'Trace account', 'Remitter', 'Tax'],
+        parsed.details.map(d => [
+            d.line, d.bsb, d.account, d.indicator, d.transactionCode, formatCents(d.amount), d.name,
+            d.reference, d.traceBsb, d.traceAccount, d.remitter, formatCents(d.withholdingTax),
+        ]),
+    ));
+
+    if (parsed.total) {
+        const t = parsed.total;
+        view.appendChild(createTable(
+            ['Net total', 'Credit total', 'Debit total', 'Count'],
+            [[formatCents(t.netTotal), formatCents(t.creditTotal), formatCents(t.debitTotal), t.count]],
+        ));
+    }
 }
 
+// --- BSB directory and the payees of the last run ---
+
+// See parseBsbDirectory(), replaced when a newer directory file is imported
+let bsbDirectory = new Map();
+
 /**
- * Simple CSV parser function to mimic csv.DictReader.
- * Assumes the first row is the header.
- * @param {string} csvText - The content of the CSV file.
- * @returns {Array<Object>} An array of objects, where each object represents a row
- *                          and keys are column headers.
+ * Load the imported BSB directory, or the bundled copy when none was imported.
+ * @returns {string} Where the directory came from, for display.
  */
-function parseCsv(csvText) {
-    const lines = csvText.trim().split('\n');
-    if (lines.length === 0) {
+function loadBsbDirectory() {
+    let imported = null;
+    try {
+        imported = JSON.parse(localStorage.getItem(BSB_DIRECTORY_STORAGE_KEY));
+    } catch (error) {
+        console.error("Error reading the imported BSB directory:", error);
+    }
+    if (imported) {
+        bsbDirectory = parseBsbDirectory(imported.text);
+        return `"${imported.name}" imported ${imported.importedAt.slice(0, 10)}`;
+    }
+    bsbDirectory = parseBsbDirectory(BSB_DIRECTORY);
+    return BSB_DIRECTORY_DATE ? `bundled copy of ${BSB_DIRECTORY_DATE}` : 'bundled copy';
+}
+
+function renderBsbDirectoryStatus(source) {
+    document.getElementById('bsbDirectoryStatus').textContent = bsbDirectory.size > 0
+        ? `${bsbDirectory.size} branches from the ${source}`
+        : `no branches in the ${source}, BSBs are not checked until the BSB directory file is imported`;
+}
+
+function loadLastRunPayees() {
+    try {
+        return JSON.parse(localStorage.getItem(LAST_RUN_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.error("Error reading the last run:", error);
         return [];
     }
+}
 
-    const header = lines[0].split(',').map(h => h.trim());
-    const data = [];
+// --- Preview grid, the rows Convert turns into ABA ---
 
-    for (let i = 1; i < lines.length; i++) {
-        const values = lines[i].split(',');
-        // Skip empty lines
-        if (values.length === 1 && values[0].trim() === '') {
-            continue;
+const GRID_COLUMNS = ['BSB', 'Account', 'Name', 'Amount', 'Reference', 'Transaction Code'];
+
+// Each entry is {row, enabled, lineNumber}, lineNumber is the CSV line or follows
+// on from the last one for rows added in the grid
+let gridRows = [];
+
+/**
+ * Load the grid from CSV text.
+ * @returns {Array<string>} Required columns missing from the mapping, the grid is emptied when any are.
+ */
+function loadGrid(text, mapping) {
+    const missingColumns = Array.from(CSV_COLUMNS).filter(col => !mapping[col]);
+    gridRows = [];
+    if (missingColumns.length === 0) {
+        // Rows without payment details stay in the grid disabled, so they are counted as skipped
+        gridRows = applyColumnMapping(parseCsv(text), mapping)
+            .map(row => ({ row: { ...row }, enabled: !isBlankRow(row), lineNumber: row.lineNumber }));
+    }
+    renderGrid();
+    return missingColumns;
+}
+
+// Enabled grid rows as parsed CSV data, ready for buildAbaBatches()
+function gridCsvData() {
+    return gridRows.filter(gridRow => gridRow.enabled).map(gridRow => {
+        const row = { ...gridRow.row };
+        Object.defineProperty(row, 'lineNumber', { value: gridRow.lineNumber });
+        return row;
+    });
+}
+
+/**
+ * @param {Object<string, string>} [values] - Values of GRID_COLUMNS, blank when missing.
+ */
+function addGridRow(values = {}) {
+    const lineNumber = gridRows.reduce((max, gridRow) => Math.max(max, gridRow.lineNumber), 1) + 1;
+    gridRows.push({ row: Object.fromEntries(GRID_COLUMNS.map(col => [col, values[col] || ''])), enabled: true, lineNumber });
+    renderGrid();
+}
+
+function renderGrid() {
+    const tbody = document.querySelector('#previewGrid tbody');
+    tbody.innerHTML = '';
+    gridRows.forEach((gridRow, index) => {
+        const tr = tbody.insertRow();
+
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = gridRow.enabled;
+        enabled.title = 'include in the ABA file';
+        enabled.addEventListener('change', () => {
+            gridRow.enabled = enabled.checked;
+            refreshGrid();
+        });
+        tr.insertCell().appendChild(enabled);
+        tr.insertCell().textContent = gridRow.lineNumber;
+
+        for (const col of GRID_COLUMNS) {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.value = gridRow.row[col] || '';
+            input.dataset.column = col;
+            input.addEventListener('input', () => {
+                gridRow.row[col] = input.value;
+                refreshGrid();
+            });
+            tr.insertCell().appendChild(input);
         }
-        const rowObject = {};
-        for (let j = 0; j < header.length; j++) {
-            rowObject[header[j]] = values[j] ? values[j].trim() : '';
+        tr.insertCell().className = 'bank';
+        tr.insertCell().className = 'indicator';
+
+        const remove = document.createElement('button');
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', () => {
+            gridRows.splice(index, 1);
+            renderGrid();
+        });
+        tr.insertCell().appendChild(remove);
+    });
+    refreshGrid();
+}
+
+// Update validation highlighting, duplicates and totals without rebuilding the inputs
+function refreshGrid() {
+    const rows = document.querySelector('#previewGrid tbody').rows;
+    const enabledRows = gridRows.filter(gridRow => gridRow.enabled);
+    const duplicates = new Set(findDuplicateRows(enabledRows.map(gridRow => gridRow.row))
+        .flat().map(index => enabledRows[index]));
+    const marked = markChangedPayees(gridRows.map(gridRow => gridRow.row), loadLastRunPayees());
+
+    gridRows.forEach((gridRow, index) => {
+        const tr = rows[index];
+        const errors = gridRow.enabled && !isBlankRow(gridRow.row)
+            ? validateRow(gridRow.row, gridRow.lineNumber, bsbDirectory)
+            : [];
+        tr.querySelector('.bank').textContent = describeBsb(bsbDirectory, gridRow.row['BSB']);
+        tr.querySelector('.indicator').textContent = marked[index]['Indicator'] || '';
+        tr.classList.toggle('disabled', !gridRow.enabled);
+        tr.classList.toggle('duplicate', duplicates.has(gridRow));
+        tr.title = duplicates.has(gridRow) ? 'same BSB, account and amount as another row' : '';
+        for (const input of tr.querySelectorAll('input[type=text]')) {
+            const error = errors.find(e => e.field === input.dataset.column);
+            input.classList.toggle('invalid', error !== undefined);
+            input.title = error ? error.message : '';
+        }
+    });
+
+    const summary = summariseRows(enabledRows.map(gridRow => gridRow.row));
+    const disabled = gridRows.length - enabledRows.length;
+    document.getElementById('gridSummary').textContent =
+        `${summary.count} payments, credits $${formatCents(summary.creditTotal)}, ` +
+        `debits $${formatCents(summary.debitTotal)}, ${summary.skipped + disabled} skipped` +
+        (duplicates.size > 0 ? `, ${duplicates.size} possible duplicates` : '');
+}
+
+// --- Payee book, payees saved to build a run from ---
+
+// See PAYEES in store.mjs
+let payeeBook = [];
+
+function reportStoreError(error) {
+    console.error("Error using the payee book or history:", error);
+    document.getElementById('errorMessage').textContent = `Error: Cannot use the browser's saved data: ${error.message}`;
+}
+
+async function loadPayeeBook() {
+    payeeBook = await getAll(PAYEES);
+    renderPayeeBook();
+}
+
+function renderPayeeBook() {
+    const tbody = document.querySelector('#payeeBook tbody');
+    tbody.innerHTML = '';
+    for (const payee of payeeBook) {
+        const tr = tbody.insertRow();
+        tr.dataset.key = payee.key;
+
+        const pick = document.createElement('input');
+        pick.type = 'checkbox';
+        pick.className = 'pick';
+        tr.insertCell().appendChild(pick);
+        for (const value of [payee.name, payee.bsb, payee.account, describeBsb(bsbDirectory, payee.bsb)]) {
+            tr.insertCell().textContent = value;
         }
-        data.push(rowObject);
+
+        const reference = document.createElement('input');
+        reference.type = 'text';
+        reference.className = 'reference';
+        reference.value = payee.reference;
+        reference.addEventListener('change', () => {
+            payee.reference = reference.value;
+            putAll(PAYEES, [payee]).catch(reportStoreError);
+        });
+        tr.insertCell().appendChild(reference);
+
+        const amount = document.createElement('input');
+        amount.type = 'text';
+        amount.className = 'amount';
+        amount.placeholder = '$0.00';
+        amount.addEventListener('input', () => {
+            pick.checked = amount.value.trim() !== '';
+        });
+        tr.insertCell().appendChild(amount);
+
+        const removeButton = document.createElement('button');
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => {
+            remove(PAYEES, payee.key).then(loadPayeeBook).catch(reportStoreError);
+        });
+        tr.insertCell().appendChild(removeButton);
     }
-    return data;
 }
 
 /**
- * Main function logic adapted for browser environment.
- * Takes parsed CSV data and generates ABA content.
- * @param {Array<Object>} csvData - Parsed CSV data (array of row objects).
- * @returns {string} The complete ABA file content as a string.
+ * Save the payees of the enabled grid rows, replacing the default reference and
+ * transaction code of ones already in the book.
+ * @returns {Promise<{saved: number, skipped: number}>} Rows with an invalid BSB,
+ *          account or name are skipped.
  */
-function processCsvToAba(csvData) {
-    const aba_content = [];
-    aba_content.push(generate_descriptive_record());
-
-    let total_amount = 0;
+async function savePayeesFromGrid() {
+    const payees = new Map();
+    let skipped = 0;
+    for (const gridRow of gridRows.filter(gridRow => gridRow.enabled && !isBlankRow(gridRow.row))) {
+        const row = gridRow.row;
+        const errors = validateRow(row, gridRow.lineNumber, bsbDirectory)
+            .filter(error => ['BSB', 'Account', 'Name'].includes(error.field));
+        if (errors.length > 0) {
+            skipped += 1;
+            continue;
+        }
+        const payee = {
+            name: row['Name'].trim(),
+            bsb: row['BSB'].trim(),
+            account: row['Account'].trim(),
+            reference: (row['Reference'] || '').trim(),
+            transactionCode: (row['Transaction Code'] || '').trim(),
+        };
+        payees.set(payeeKey(payee), { key: payeeKey(payee), ...payee });
+    }
+    await putAll(PAYEES, Array.from(payees.values()));
+    await loadPayeeBook();
+    return { saved: payees.size, skipped };
+}
 
-    for (const row of csvData) {
-        const [detail_record, amount_in_cents] = generate_detail_record(row);
-        if (detail_record !== null && amount_in_cents !== null) {
-            aba_content.push(detail_record);
-            total_amount += amount_in_cents;
+// Add the picked payees to the grid with the amounts entered for them
+function addPickedPayees() {
+    let added = 0;
+    for (const tr of document.querySelectorAll('#payeeBook tbody tr')) {
+        if (!tr.querySelector('.pick').checked) {
+            continue;
         }
+        const payee = payeeBook.find(p => p.key === tr.dataset.key);
+        addGridRow({
+            'BSB': payee.bsb,
+            'Account': payee.account,
+            'Name': payee.name,
+            'Amount': tr.querySelector('.amount').value.trim(),
+            'Reference': tr.querySelector('.reference').value.trim(),
+            'Transaction Code': payee.transactionCode,
+        });
+        tr.querySelector('.pick').checked = false;
+        tr.querySelector('.amount').value = '';
+        added += 1;
     }
+    return added;
+}
 
-    aba_content.push(generate_file_total_record(aba_content, total_amount));
+// --- Payment history, every downloaded ABA file ---
 
-    // Join lines with newline and add a final newline at the end
-    return aba_content.join('\n') + '\n';
+// See HISTORY in store.mjs, oldest first
+let history = [];
+
+async function loadHistory() {
+    history = await getAll(HISTORY);
+    renderHistory();
 }
 
-// --- Browser specific code to handle file input and output ---
+function renderHistory() {
+    const tbody = document.querySelector('#history tbody');
+    tbody.innerHTML = '';
+    // Newest first, each compared with the one saved before it
+    history.map((entry, index) => [entry, history[index - 1]]).reverse().forEach(([entry, previous]) => {
+        const tr = tbody.insertRow();
+        for (const value of [
+            entry.savedAt.slice(0, 16).replace('T', ' '), entry.processDate, entry.name, entry.count,
+            formatCents(entry.creditTotal), formatCents(entry.debitTotal), entry.hash.slice(0, 12),
+        ]) {
+            tr.insertCell().textContent = value;
+        }
+        tr.cells[6].title = entry.hash;
 
-// Function to trigger file download
-function downloadAbaFile(abaContent, filename) {
-    const blob = new Blob([abaContent], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
+        const actions = tr.insertCell();
+        const downloadButton = document.createElement('button');
+        downloadButton.textContent = 'Download';
+        downloadButton.addEventListener('click', () => downloadAbaFile(entry.content, entry.name));
+        actions.appendChild(downloadButton);
 
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a); // Append to body is necessary for Firefox
-    a.click();
+        const compareButton = document.createElement('button');
+        compareButton.textContent = 'Compare with previous';
+        compareButton.disabled = previous === undefined;
+        compareButton.addEventListener('click', () => renderHistoryDiff(previous, entry));
+        actions.appendChild(compareButton);
 
-    document.body.removeChild(a); // Clean up the element
-    URL.revokeObjectURL(url); // Free up memory
+        const removeButton = document.createElement('button');
+        removeButton.textContent = 'Delete';
+        removeButton.addEventListener('click', () => {
+            remove(HISTORY, entry.hash).then(loadHistory).catch(reportStoreError);
+        });
+        actions.appendChild(removeButton);
+    });
 }
 
+/**
+ * Show the payment by payment differences between two ABA files in #historyDiff.
+ * @param {{name: string, content: string}} before
+ * @param {{name: string, content: string}} after
+ */
+function renderHistoryDiff(before, after) {
+    const diff = diffAbaPayments(parseAba(before.content).details, parseAba(after.content).details);
+    const view = document.getElementById('historyDiff');
+    view.innerHTML = '';
+
+    const counts = {};
+    for (const { status } of diff) {
+        counts[status] = (counts[status] || 0) + 1;
+    }
+    const summary = document.createElement('p');
+    summary.textContent = `"${after.name}" compared with "${before.name}": ` +
+        ['added', 'removed', 'changed', 'unchanged'].map(status => `${counts[status] || 0} ${status}`).join(', ');
+    view.appendChild(summary);
+
+    const table = createTable(
+        ['', 'Name', 'BSB', 'Account', 'Amount before', 'Amount after', 'Reference'],
+        diff.map(({ status, before: b, after: a }) => {
+            const payee = a || b;
+            return [
+                status, payee.name, payee.bsb, payee.account,
+                b ? formatCents(b.amount) : '', a ? formatCents(a.amount) : '', payee.reference,
+            ];
+        }),
+    );
+    Array.from(table.tBodies[0].rows).forEach((tr, i) => tr.classList.add(diff[i].status));
+    view.appendChild(table);
+}
 
-function csv2aba(text) {
-	const csvData = parseCsv(text);
+/**
+ * History entries for ABA files, not saved until they are downloaded.
+ * @returns {Promise<Array<Object>>} Entries with `savedAt` null and `previous` the entry of
+ *          an earlier download with the same payments, or null.
+ */
+async function historyEntries(files, names, processDate) {
+    return Promise.all(files.map(async (content, i) => {
+        const hash = await hashAba(content);
+        const paymentsHash = await hashAbaPayments(content);
+        const previous = await getByIndex(HISTORY, 'paymentsHash', paymentsHash);
+        // An ABA file edited before downloading may have lost its file total record
+        const total = parseAba(content).total || { count: 0, creditTotal: 0, debitTotal: 0 };
+        return {
+            hash,
+            paymentsHash,
+            previous: previous || null,
+            name: names[i],
+            savedAt: null,
+            processDate: formatDateISO(processDate),
+            count: total.count,
+            creditTotal: total.creditTotal,
+            debitTotal: total.debitTotal,
+            content,
+        };
+    }));
+}
 
-	// Check if required columns exist in the header
-	const header = csvData.length > 0 ? Object.keys(csvData[0]) : [];
-	const missingColumns = Array.from(CSV_COLUMNS).filter(col => !header.includes(col));
+// Batches from the last conversion, more than one when the batch was split, see buildAbaBatches()
+let generatedBatches = [];
+// Their ABA file contents
+let generatedAbaFiles = [];
+// Saved as the last run once the files are downloaded
+let generatedPayees = [];
+// See historyEntries(), for warning about payments downloaded before, empty until they are found
+let generatedEntries = [];
+// See abaFilenames(), named on conversion so the history has the names downloaded
+let generatedNames = null;
+let generatedProcessDate = null;
 
-	if (missingColumns.length > 0) {
-	     const errorMessage = `Error: Missing required CSV columns: ${missingColumns.join(', ')}`;
-	     console.error(errorMessage);
-	     if (statusMessage) statusMessage.textContent = errorMessage;
-	     return;
+/**
+ * @returns {Array<Object>} Batches, see buildAbaBatches(), empty when the rows could not be converted.
+ */
+function csv2aba(csvData, profile, options) {
+	try {
+	    return buildAbaBatches(csvData, profile, options);
+	} catch (error) {
+	    if (!(error instanceof AbaValidationError)) {
+	        throw error;
+	    }
+	    document.getElementById('errorMessage').textContent =
+	        `Error: ${error.errors.length} problem(s) found, fix them and convert again\n${error.message}`;
+	    return [];
 	}
+}
+
+// Split files are named after the CSV with the reel sequence number appended
+function abaFilenames(count) {
+    const fileInput = document.getElementById('csvFileInput');
+    const base = fileInput.files.length > 0 ? fileInput.files[0].name.replace(/\.csv$/i, '') : String(Date.now());
+    if (count === 1) {
+        return { base, names: [`${base}.aba`] };
+    }
+    const names = Array.from({ length: count }, (_, i) => `${base}-${String(i + 1).padStart(2, ZERO)}.aba`);
+    return { base, names };
+}
 
-	const abaContent = processCsvToAba(csvData);
-	return abaContent;
+/**
+ * Payees of a downloaded run are what the next run marks new or varied details against.
+ * @param {Array<Object>|null} entries - See historyEntries(), of the files as downloaded,
+ *        null when the history could not be read.
+ */
+function saveLastRun(entries) {
+    localStorage.setItem(LAST_RUN_STORAGE_KEY, JSON.stringify(generatedPayees));
+    if (entries === null) {
+        return;
+    }
+    const savedAt = new Date().toISOString();
+    // The same file downloaded again keeps the time it was first saved
+    const saved = entries.filter(entry => entry.previous === null || entry.previous.hash !== entry.hash)
+        .map(({ previous, ...entry }) => ({ ...entry, savedAt }));
+    putAll(HISTORY, saved).then(loadHistory).catch(reportStoreError);
 }
 
-function generateDownload() {
+async function generateDownload() {
         const abaOutput = document.getElementById('aba');
-        const fileInput = document.getElementById('csvFileInput');
+        const downloadButton = document.getElementById('downloadAba');
+
+	// Split files as converted, a single file as shown including any edits
+	const contents = generatedAbaFiles.length > 1 ? generatedAbaFiles : [abaOutput.value];
+	const { base, names } = generatedNames;
 
-	let abaFilename = '';
+	downloadButton.disabled = true;
+	let entries = null;
+	try {
+	    entries = await historyEntries(contents, names, generatedProcessDate);
+	} catch (error) {
+	    reportStoreError(error);
+	} finally {
+	    downloadButton.disabled = generatedAbaFiles.length === 0;
+	}
 
-	if (fileInput.files.length > 0) {
-	    const originalFilename = fileInput.files[0].name;
-	    abaFilename = originalFilename.replace(/\.csv$/i, '.aba');
+	if (entries === null) {
+	    if (!confirm('The payment history cannot be read, so this download cannot be checked against earlier ones and will not be recorded.\n' +
+	        'Download anyway?')) {
+	        return;
+	    }
 	} else {
-	    abaFilename = `${Date.now()}.aba`;
+	    const downloaded = entries.filter(entry => entry.previous !== null);
+	    if (downloaded.length > 0 && !confirm(
+	        downloaded.map(entry => `"${entry.name}" has the same payments as "${entry.previous.name}" downloaded ${entry.previous.savedAt.slice(0, 10)}.`).join('\n') +
+	        '\nDownload it again? Uploading it twice pays everyone twice.')) {
+	        return;
+	    }
+	}
+
+	if (contents.length > 1) {
+	    const zip = createZip(names.map((name, i) => ({ name, content: contents[i] })));
+	    downloadFile(zip, `${base}.zip`, 'application/zip');
+	    saveLastRun(entries);
+	    if (statusMessage) statusMessage.textContent = `${names.length} ABA files in "${base}.zip" generated successfully!`;
+	    return;
 	}
 
-	const abaContent = abaOutput.value;
+	const abaFilename = names[0];
 
-	downloadAbaFile(abaContent, abaFilename);
+	downloadAbaFile(contents[0], abaFilename);
+	saveLastRun(entries);
 
 	if (statusMessage) statusMessage.textContent = `ABA file "${abaFilename}" generated successfully!`;
 
@@ -327,6 +788,90 @@ document.addEventListener('DOMContentLoaded', () => {
 
     const downloadButton = document.getElementById('downloadAba');
 
+    // Any edits in the grid are replaced when the CSV or its mapping changes
+    const refreshGridFromCsv = () => {
+        errorMessage.textContent = '';
+        try {
+            const missingColumns = loadGrid(csvInput.value, readColumnMapping());
+            if (missingColumns.length > 0 && csvInput.value.trim() !== '') {
+                errorMessage.textContent = `Error: Missing required CSV columns: ${missingColumns.join(', ')}`;
+            }
+        } catch (error) {
+            if (!(error instanceof AbaValidationError)) {
+                throw error;
+            }
+            errorMessage.textContent = `Error: ${error.message}`;
+        }
+    };
+
+    const refreshColumnMapping = () => {
+        let header = [];
+        try {
+            header = parseCsvHeader(csvInput.value);
+        } catch (error) {
+            // Reported by refreshGridFromCsv
+        }
+        renderColumnMapping(header, suggestColumnMapping(header, loadColumnMapping(header)));
+        refreshGridFromCsv();
+    };
+    renderBsbDirectoryStatus(loadBsbDirectory());
+    refreshColumnMapping();
+    csvInput.addEventListener('input', refreshColumnMapping);
+
+    document.getElementById('bsbDirectoryInput').addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        if (!file) {
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            if (parseBsbDirectory(e.target.result).size === 0) {
+                errorMessage.textContent = `Error: "${file.name}" has no BSB directory entries`;
+                return;
+            }
+            try {
+                localStorage.setItem(BSB_DIRECTORY_STORAGE_KEY, JSON.stringify({
+                    name: file.name, importedAt: new Date().toISOString(), text: e.target.result,
+                }));
+            } catch (error) {
+                errorMessage.textContent = `Error: Cannot keep the BSB directory: ${error.message}`;
+                return;
+            }
+            renderBsbDirectoryStatus(loadBsbDirectory());
+            refreshGrid();
+            renderPayeeBook();
+        };
+        reader.onerror = () => {
+            console.error("Error reading file:", reader.error);
+            if (statusMessage) statusMessage.textContent = `Error reading file: ${reader.error.message}`;
+        };
+        reader.readAsText(file);
+    });
+
+    document.getElementById('bsbDirectoryBundled').addEventListener('click', () => {
+        localStorage.removeItem(BSB_DIRECTORY_STORAGE_KEY);
+        renderBsbDirectoryStatus(loadBsbDirectory());
+        refreshGrid();
+        renderPayeeBook();
+    });
+    document.getElementById('columnMapping').addEventListener('change', refreshGridFromCsv);
+    document.getElementById('addRow').addEventListener('click', () => addGridRow());
+
+    loadPayeeBook().catch(reportStoreError);
+    loadHistory().catch(reportStoreError);
+
+    document.getElementById('payeesFromGrid').addEventListener('click', () => {
+        savePayeesFromGrid().then(({ saved, skipped }) => {
+            statusMessage.textContent = `${saved} payees saved` +
+                (skipped > 0 ? `, ${skipped} rows skipped for an invalid BSB, account or name` : '');
+        }).catch(reportStoreError);
+    });
+
+    document.getElementById('addPayees').addEventListener('click', () => {
+        const added = addPickedPayees();
+        statusMessage.textContent = added > 0 ? `${added} payees added to the preview` : 'Pick payees to add first';
+    });
+
     fileInput.addEventListener('change', (event) => {
         const file = event.target.files[0];
 
@@ -345,6 +890,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
 		csvInput.value = csvText;
 		abaOutput.value = "";
+		refreshColumnMapping();
 
             } catch (error) {
                 console.error("Error processing file:", error);
@@ -360,13 +906,218 @@ document.addEventListener('DOMContentLoaded', () => {
         reader.readAsText(file);
     });
 
+    const processingDateInput = document.getElementById('processingDate');
+    const processingDateWarning = document.getElementById('processingDateWarning');
+    processingDateInput.min = formatDateISO(new Date());
+    processingDateInput.value = formatDateISO(nextBusinessDay());
+
+    const checkProcessingDate = () => {
+        const date = parseDateISO(processingDateInput.value);
+        if (date === null) {
+            processingDateWarning.textContent = '';
+            return { date, errors: ['Processing date is not a valid date'], warnings: [] };
+        }
+        const { errors, warnings } = validateProcessingDate(date);
+        processingDateWarning.textContent = warnings.join('; ');
+        return { date, errors, warnings };
+    };
+    checkProcessingDate();
+    processingDateInput.addEventListener('change', checkProcessingDate);
+
     const convertButton = document.getElementById('convert');
     convertButton.addEventListener('click', (event) => {
         const csvText = csvInput.value;
-	abaContent = csv2aba(csvText);
-        abaOutput.value = abaContent;
-	downloadButton.disabled = false;
+        const processingDate = checkProcessingDate();
+        if (processingDate.errors.length > 0) {
+            errorMessage.textContent = `Error: ${processingDate.errors.join('; ')}`;
+            return;
+        }
+        const split = readSplitForm();
+        if (split.errors.length > 0) {
+            errorMessage.textContent = `Error: ${split.errors.join('; ')}`;
+            return;
+        }
+        errorMessage.textContent = '';
+        const csvData = gridCsvData();
+        if (summariseRows(csvData).count === 0) {
+            errorMessage.textContent = 'Error: No payments to convert, paste a CSV or add rows to the grid';
+            return;
+        }
+	generatedBatches = csv2aba(csvData, readProfileForm(), {
+	    ...readFormatForm(),
+	    ...split.limits,
+	    processDate: processingDate.date,
+	    bsbDirectory,
+	    previousPayees: loadLastRunPayees(),
+	});
+        generatedAbaFiles = generatedBatches.map(formatAbaBatch);
+        generatedPayees = payeesOf(csvData);
+        generatedEntries = [];
+        if (generatedAbaFiles.length > 0 && csvText.trim() !== '') {
+            saveColumnMapping(parseCsvHeader(csvText), readColumnMapping());
+        }
+        renderAbaFileSelect(generatedAbaFiles.length);
+        abaOutput.value = generatedAbaFiles[0] || '';
+        if (generatedAbaFiles.length > 0 && bsbDirectory.size === 0) {
+            statusMessage.textContent = 'Warning: BSBs were not checked, import the AusPayNet BSB directory file to check them';
+        }
+	// Enabled once the history has been checked for these payments
+	downloadButton.disabled = true;
+        for (const button of reportButtons) {
+            button.disabled = generatedAbaFiles.length === 0;
+        }
+
+        const files = generatedAbaFiles;
+        generatedNames = abaFilenames(files.length);
+        generatedProcessDate = processingDate.date;
+        historyEntries(files, generatedNames.names, generatedProcessDate).then(entries => {
+            if (files !== generatedAbaFiles) {
+                return;
+            }
+            generatedEntries = entries;
+            const downloaded = entries.filter(entry => entry.previous !== null);
+            if (downloaded.length > 0) {
+                statusMessage.textContent = `Warning: ${downloaded.map(entry => `"${entry.name}"`).join(', ')} ` +
+                    `${downloaded.length === 1 ? 'has' : 'have'} the same payments as a file downloaded ${downloaded[0].previous.savedAt.slice(0, 10)}, see the history below`;
+            }
+        }).catch(reportStoreError).finally(() => {
+            // Download asks before downloading without the history when it cannot be read
+            if (files === generatedAbaFiles) {
+                downloadButton.disabled = files.length === 0;
+            }
+        });
+    });
+
+    // Reports describe the batches as converted, not any edits made to the ABA text since
+    const reportButtons = ['summaryReport', 'remittanceAdvices', 'journalCsv', 'journalJson']
+        .map(id => document.getElementById(id));
+
+    document.getElementById('summaryReport').addEventListener('click', () => {
+        const html = summaryReportHtml(generatedBatches, { names: generatedNames.names });
+        const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+        // Opened for printing or saving as PDF, downloaded when pop-ups are blocked
+        if (window.open(url) === null) {
+            downloadFile(html, `${generatedNames.base}-summary.html`, 'text/html');
+        }
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    });
+
+    document.getElementById('remittanceAdvices').addEventListener('click', () => {
+        const advices = remittanceAdvices(generatedBatches);
+        downloadFile(createZip(advices), `${generatedNames.base}-remittance.zip`, 'application/zip');
+        statusMessage.textContent = `${advices.length} remittance advices in "${generatedNames.base}-remittance.zip"`;
+    });
+
+    document.getElementById('journalCsv').addEventListener('click', () => {
+        downloadFile(journalCsv(generatedBatches), `${generatedNames.base}-journal.csv`, 'text/csv');
+    });
+
+    document.getElementById('journalJson').addEventListener('click', () => {
+        downloadFile(journalJson(generatedBatches), `${generatedNames.base}-journal.json`, 'application/json');
+    });
+
+    document.getElementById('compareAba').addEventListener('click', () => {
+        if (history.length === 0) {
+            errorMessage.textContent = 'Error: No earlier ABA file in the history to compare with';
+            return;
+        }
+        errorMessage.textContent = '';
+        const index = Number(document.getElementById('abaFiles').value) || 0;
+        const name = generatedEntries[index] ? generatedEntries[index].name : 'generated file';
+        renderHistoryDiff(history[history.length - 1], { name, content: abaOutput.value });
+    });
+
+    document.getElementById('abaFiles').addEventListener('change', (event) => {
+        abaOutput.value = generatedAbaFiles[event.target.value];
     });
 
     downloadButton.addEventListener('click', generateDownload);
+
+    const abaFileInput = document.getElementById('abaFileInput');
+    const exportCsvButton = document.getElementById('exportCsv');
+    let viewedAba = null;
+
+    const viewAba = (abaText) => {
+        viewedAba = parseAba(abaText);
+        renderAbaView(viewedAba);
+        exportCsvButton.disabled = viewedAba.details.length === 0;
+    };
+
+    abaFileInput.addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        if (!file) {
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = (e) => viewAba(e.target.result);
+        reader.onerror = () => {
+            console.error("Error reading file:", reader.error);
+            if (statusMessage) statusMessage.textContent = `Error reading file: ${reader.error.message}`;
+        };
+        reader.readAsText(file);
+    });
+
+    document.getElementById('viewAba').addEventListener('click', () => viewAba(abaOutput.value));
+
+    exportCsvButton.addEventListener('click', () => {
+        const filename = abaFileInput.files.length > 0
+            ? abaFileInput.files[0].name.replace(/\.aba$/i, '') + '.csv'
+            : `${Date.now()}.csv`;
+        downloadFile(detailsToCsv(viewedAba.details), filename, 'text/csv');
+    });
+
+    let profileStore = loadProfiles();
+    const profileSelect = document.getElementById('profileSelect');
+    renderPresetSelect();
+    renderProfileSelect(profileStore);
+    fillProfileForm(profileStore.profiles[profileStore.selected]);
+
+    profileSelect.addEventListener('change', () => {
+        profileStore.selected = profileSelect.value;
+        saveProfiles(profileStore);
+        fillProfileForm(profileStore.profiles[profileStore.selected]);
+    });
+
+    document.getElementById('preset').addEventListener('change', (event) => {
+        const preset = BANK_PRESETS[event.target.value];
+        fillFormatForm(preset);
+        if (preset.fi) {
+            document.getElementById('profileFi').value = preset.fi;
+        }
+    });
+
+    document.getElementById('profileNew').addEventListener('click', () => {
+        fillProfileForm({ ...DEFAULT_PROFILE, name: '' });
+        document.getElementById('profileName').focus();
+    });
+
+    document.getElementById('profileSave').addEventListener('click', () => {
+        const profile = readProfileForm();
+        if (profile.name === '') {
+            errorMessage.textContent = 'Error: Profile name must not be blank';
+            return;
+        }
+        errorMessage.textContent = '';
+        profileStore.profiles[profile.name] = profile;
+        profileStore.selected = profile.name;
+        saveProfiles(profileStore);
+        renderProfileSelect(profileStore);
+        if (statusMessage) statusMessage.textContent = `Profile "${profile.name}" saved.`;
+    });
+
+    // The exported file is what the command line takes with --profile
+    document.getElementById('profileExport').addEventListener('click', () => {
+        const profile = readProfileForm();
+        downloadFile(JSON.stringify(profile, null, 2) + '\n', `${profile.name || 'profile'}.json`, 'application/json');
+    });
+
+    document.getElementById('profileDelete').addEventListener('click', () => {
+        const name = profileSelect.value;
+        delete profileStore.profiles[name];
+        saveProfiles(profileStore);
+        profileStore = loadProfiles();
+        renderProfileSelect(profileStore);
+        fillProfileForm(profileStore.profiles[profileStore.selected]);
+        if (statusMessage) statusMessage.textContent = `Profile "${name}" deleted.`;
+    });
 });
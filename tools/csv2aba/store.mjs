@@ -0,0 +1,92 @@
+// """
+// csv to aba converter, saved payees and payment history
+//
+// Copyright (c) 2025 Volo1st
+//
+// Keeps the payee book and every downloaded ABA file in the browser's IndexedDB,
+// which unlike localStorage holds the file contents without running out of room.
+//
+// """
+
+const DATABASE_NAME = 'csv2aba';
+const DATABASE_VERSION = 1;
+
+// Payees are {key, name, bsb, account, reference, transactionCode}, key is payeeKey()
+export const PAYEES = 'payees';
+// History entries are {hash, paymentsHash, name, savedAt, processDate, count, creditTotal, debitTotal, content},
+// hash is hashAba() so the same file is only kept once, paymentsHash is hashAbaPayments()
+// to recognise the same payments in a file that differs only in its N indicators
+export const HISTORY = 'history';
+
+let database = null;
+
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function openDatabase() {
+    if (database === null) {
+        const req = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+        req.onupgradeneeded = () => {
+            req.result.createObjectStore(PAYEES, { keyPath: 'key' });
+            const history = req.result.createObjectStore(HISTORY, { keyPath: 'hash' });
+            history.createIndex('savedAt', 'savedAt');
+            history.createIndex('paymentsHash', 'paymentsHash');
+        };
+        database = request(req);
+    }
+    return database;
+}
+
+async function objectStore(name, mode) {
+    return (await openDatabase()).transaction(name, mode).objectStore(name);
+}
+
+/**
+ * @param {string} name - PAYEES or HISTORY.
+ * @returns {Promise<Array<Object>>} Payees by key, history oldest first.
+ */
+export async function getAll(name) {
+    const store = await objectStore(name, 'readonly');
+    return request(name === HISTORY ? store.index('savedAt').getAll() : store.getAll());
+}
+
+/**
+ * @param {string} name - PAYEES or HISTORY.
+ * @param {string} key
+ * @returns {Promise<Object|undefined>}
+ */
+export async function get(name, key) {
+    return request((await objectStore(name, 'readonly')).get(key));
+}
+
+/**
+ * @param {string} name - PAYEES or HISTORY.
+ * @param {string} index - An index of the store, e.g. 'paymentsHash' of HISTORY.
+ * @param {string} key
+ * @returns {Promise<Object|undefined>} The first entry with the key in the index.
+ */
+export async function getByIndex(name, index, key) {
+    return request((await objectStore(name, 'readonly')).index(index).get(key));
+}
+
+/**
+ * Add or replace entries, in one transaction.
+ * @param {string} name - PAYEES or HISTORY.
+ * @param {Array<Object>} values
+ */
+export async function putAll(name, values) {
+    const store = await objectStore(name, 'readwrite');
+    await Promise.all(values.map(value => request(store.put(value))));
+}
+
+/**
+ * @param {string} name - PAYEES or HISTORY.
+ * @param {string} key
+ */
+export async function remove(name, key) {
+    await request((await objectStore(name, 'readwrite')).delete(key));
+}
@@ -0,0 +1,82 @@
+// Reading ABA files back, exporting them as CSV and zipping split files
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { parseAba, detailsToCsv, parseCsv, processCsvToAba, createZip } from '../aba.mjs';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const PROFILE = JSON.parse(fixture('profile.json'));
+const PROCESS_DATE = new Date(2030, 4, 13);
+
+const fields = errors => errors.map(error => error.field);
+
+test('parseAba reads a valid file without errors', () => {
+    const parsed = parseAba(fixture('example.aba'));
+    assert.deepEqual(parsed.errors, []);
+    assert.equal(parsed.descriptive.apcaId, '301500');
+    assert.deepEqual(parsed.details.map(d => [d.line, d.bsb, d.amount]), [[2, '062-010', 6300], [3, '062-443', 2500]]);
+    assert.deepEqual(parsed.total, { netTotal: 8800, creditTotal: 8800, debitTotal: 0, count: 2 });
+});
+
+test('parseAba catches a file total that does not match the details', () => {
+    const lines = fixture('example.aba').split('\n');
+    lines[3] = lines[3].slice(0, 30) + '0000009000' + lines[3].slice(40);
+    const { errors } = parseAba(lines.join('\n'));
+    assert.deepEqual(fields(errors), ['Credit total']);
+    assert.equal(errors[0].message, 'file total record has 9000, detail records add up to 8800');
+});
+
+test('parseAba catches a missing detail record', () => {
+    const lines = fixture('example.aba').split('\n');
+    lines.splice(2, 1);
+    assert.deepEqual(fields(parseAba(lines.join('\n')).errors), ['Credit total', 'Net total', 'Count']);
+});
+
+test('parseAba catches wrong lengths and missing records', () => {
+    const lines = fixture('example.aba').split('\n');
+    const { errors } = parseAba([lines[0], lines[1] + 'X'].join('\n'));
+    assert.deepEqual(errors.map(e => [e.line, e.field]), [[2, 'Record'], [null, 'Record']]);
+    assert.match(errors[1].message, /type 7/);
+});
+
+test('detailsToCsv exports a file the converter turns back into the same file', () => {
+    const csv = detailsToCsv(parseAba(fixture('example.aba')).details);
+    assert.equal(csv.split('\r\n')[0], 'BSB,Account,Name,Amount,Reference,Transaction Code');
+    assert.equal(processCsvToAba(parseCsv(csv), PROFILE, { processDate: PROCESS_DATE }), fixture('example.aba'));
+});
+
+// Read back the stored entries of a zip by walking its local file headers
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const entries = [];
+    let offset = 0;
+    while (view.getUint32(offset, true) === 0x04034b50) {
+        const size = view.getUint32(offset + 18, true);
+        const nameLength = view.getUint16(offset + 26, true);
+        const start = offset + 30 + nameLength;
+        entries.push({
+            name: new TextDecoder().decode(bytes.subarray(offset + 30, start)),
+            crc: view.getUint32(offset + 14, true),
+            content: new TextDecoder().decode(bytes.subarray(start, start + size)),
+        });
+        offset = start + size;
+    }
+    const end = bytes.length - 22;
+    return { entries, end: view.getUint32(end, true), count: view.getUint16(end + 10, true) };
+}
+
+test('createZip stores each file with its CRC-32', () => {
+    const zip = readZip(createZip([
+        { name: 'check.txt', content: '123456789' },
+        { name: 'pay-02.aba', content: fixture('example.aba') },
+    ], new Date(2030, 4, 13)));
+    assert.deepEqual(zip.entries.map(e => e.name), ['check.txt', 'pay-02.aba']);
+    // The standard CRC-32 check value
+    assert.equal(zip.entries[0].crc, 0xCBF43926);
+    assert.equal(zip.entries[1].content, fixture('example.aba'));
+    assert.equal(zip.end, 0x06054b50);
+    assert.equal(zip.count, 2);
+});
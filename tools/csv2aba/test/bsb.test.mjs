@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    parseBsbDirectory, describeBsb, markChangedPayees, payeesOf, validateRow, validateCsvData, processCsvToAba,
+} from '../aba.mjs';
+
+const PROFILE = JSON.parse(readFileSync(new URL('./fixtures/profile.json', import.meta.url), 'utf8'));
+
+const DIRECTORY = [
+    '"062-010","CBA","Parramatta","Cnr Church St","Parramatta","NSW","2150","PEH"',
+    '"062443","CBA","Closed - Refer to BSB 062-010","","Sydney","NSW","2000","PEH"',
+    '"083-004","NAB","Melbourne","500 Bourke St","Melbourne","VIC","3000","P"',
+    '',
+].join('\r\n');
+
+const row = (BSB, Account, Name, extra = {}) => ({ BSB, Account, Name, Amount: '10', Reference: 'R', ...extra });
+
+test('parseBsbDirectory keys branches by BSB and marks closed ones', () => {
+    const directory = parseBsbDirectory(DIRECTORY);
+    assert.deepEqual([...directory.keys()], ['062-010', '062-443', '083-004']);
+    assert.equal(directory.get('062-010').closed, false);
+    assert.equal(directory.get('062-443').closed, true);
+    assert.equal(directory.get('083-004').closed, true, 'no E in the payments flags');
+    assert.equal(parseBsbDirectory('BSB,Mnemonic\n\n').size, 0);
+});
+
+test('describeBsb names the bank and branch', () => {
+    const directory = parseBsbDirectory(DIRECTORY);
+    assert.equal(describeBsb(directory, '062-010'), 'CBA Parramatta, NSW');
+    assert.match(describeBsb(directory, '062-443'), /\(closed\)$/);
+    assert.equal(describeBsb(directory, '999-999'), '');
+});
+
+test('validateRow rejects unknown and closed BSBs only when a directory is given', () => {
+    const directory = parseBsbDirectory(DIRECTORY);
+    assert.deepEqual(validateRow(row('062-010', '1234', 'A'), 2, directory), []);
+    assert.match(validateRow(row('999-999', '1234', 'A'), 2, directory)[0].message, /not in the BSB directory/);
+    assert.match(validateRow(row('062-443', '1234', 'A'), 2, directory)[0].message, /closed/);
+    assert.deepEqual(validateRow(row('999-999', '1234', 'A'), 2, new Map()), []);
+    assert.deepEqual(validateRow(row('999-999', '1234', 'A'), 2), []);
+});
+
+test('validateCsvData skips the BSB lookup when the directory is empty', () => {
+    assert.deepEqual(validateCsvData([row('999-999', '1234', 'A')], new Map()), []);
+    assert.deepEqual(validateCsvData([row('999-999', '1234', 'A')], parseBsbDirectory(DIRECTORY)).map(e => e.field), ['BSB']);
+});
+
+test('markChangedPayees marks new payees and varied details N', () => {
+    const previous = payeesOf([row('062-010', '1234', 'Alice'), row('062-010', '5678', 'Bob')]);
+    const marked = markChangedPayees([
+        row('062-010', '1234', ' alice '),
+        row('062-010', '9999', 'Bob'),
+        row('062-010', '5678', 'Robert'),
+        row('062-010', '4321', 'Carol'),
+        row('062-010', '4321', 'Dave', { Indicator: 'W' }),
+    ], previous);
+    assert.deepEqual(marked.map(r => r.Indicator), [undefined, 'N', 'N', 'N', 'W']);
+});
+
+test('markChangedPayees knows every account a payee was paid into', () => {
+    const previous = payeesOf([row('062-010', '1234', 'Alice'), row('062-010', '5678', 'Alice'), row('062-010', '5678', 'Alice Smith')]);
+    const marked = markChangedPayees([
+        row('062-010', '1234', 'Alice'),
+        row('062-010', '5678', 'Alice'),
+        row('062-010', '5678', 'alice smith'),
+        row('062-010', '9999', 'Alice'),
+    ], previous);
+    assert.deepEqual(marked.map(r => r.Indicator), [undefined, undefined, undefined, 'N']);
+});
+
+test('markChangedPayees marks nothing without a previous run and keeps line numbers', () => {
+    const rows = [row('062-010', '1234', 'Alice')];
+    Object.defineProperty(rows[0], 'lineNumber', { value: 7 });
+    const marked = markChangedPayees(rows, []);
+    assert.equal(marked[0].Indicator, undefined);
+    assert.equal(marked[0].lineNumber, 7);
+});
+
+test('processCsvToAba writes the N indicator for changed payees', () => {
+    const csvData = [row('062-010', '1234', 'Alice'), row('062-010', '5678', 'Bob')];
+    const aba = processCsvToAba(csvData, PROFILE, {
+        processDate: new Date(2030, 4, 13),
+        previousPayees: [{ bsb: '062-010', account: '1234', name: 'ALICE' }],
+    });
+    const details = aba.split('\n').filter(line => line.startsWith('1'));
+    assert.deepEqual(details.map(line => line[17]), [' ', 'N']);
+});
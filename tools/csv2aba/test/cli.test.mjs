@@ -0,0 +1,86 @@
+// The command line run as a child process, as payroll scripts run it
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../cli.mjs', import.meta.url));
+const fixturePath = name => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+const dir = mkdtempSync(join(tmpdir(), 'csv2aba-'));
+test.after(() => rmSync(dir, { recursive: true, force: true }));
+
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+const OPTIONS = ['--profile', fixturePath('profile.json'), '--date', '2030-05-13', '--bsb-directory', fixturePath('bsb-directory.csv')];
+const convert = (...args) => run(fixturePath('example.csv'), ...OPTIONS, ...args);
+
+test('writes the ABA file and a JSON report', () => {
+    const output = join(dir, 'example.aba');
+    const result = convert('-o', output, '--json');
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(readFileSync(output, 'utf8'), readFileSync(fixturePath('example.aba'), 'utf8'));
+    const report = JSON.parse(result.stdout);
+    assert.equal(report.ok, true);
+    assert.equal(report.processDate, '2030-05-13');
+    assert.deepEqual(report.files.map(f => [f.path, f.count, f.creditTotal]), [[output, 2, 8800]]);
+});
+
+test('prints the ABA file to stdout without --output', () => {
+    const result = convert();
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(result.stdout, readFileSync(fixturePath('example.aba'), 'utf8'));
+});
+
+test('exits with 1 and reports validation errors', () => {
+    const csv = join(dir, 'invalid.csv');
+    writeFileSync(csv, 'BSB,Account,Name,Amount,Reference\n062010,1,A,abc,R\n');
+    const result = run(csv, ...OPTIONS, '-o', join(dir, 'invalid.aba'), '--json');
+    assert.equal(result.status, 1);
+    const report = JSON.parse(result.stdout);
+    assert.equal(report.ok, false);
+    assert.deepEqual(report.errors.map(e => `${e.line} ${e.field}`), ['2 BSB', '2 Amount']);
+    assert.match(result.stderr, /^2 problem\(s\) found\nLine 2: BSB/);
+});
+
+test('exits with 1 for a CSV without payments', () => {
+    const csv = join(dir, 'empty.csv');
+    const output = join(dir, 'empty.aba');
+    writeFileSync(csv, 'BSB,Account,Name,Amount,Reference\n\n');
+    const result = run(csv, ...OPTIONS, '-o', output);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /^1 problem\(s\) found\n.*has no payments to convert/);
+    assert.equal(existsSync(output), false);
+});
+
+test('exits with 2 on usage errors', () => {
+    assert.equal(run().status, 2);
+    assert.equal(convert('--preset', 'XYZ').status, 2);
+    assert.equal(convert('--json').status, 2);
+    assert.equal(convert('--date', '13/05/2030').status, 2);
+});
+
+test('warns that BSBs were not checked without a BSB directory', () => {
+    const result = run(fixturePath('example.csv'), '--profile', fixturePath('profile.json'), '--date', '2030-05-13');
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(result.stdout, readFileSync(fixturePath('example.aba'), 'utf8'));
+    assert.match(result.stderr, /^Warning: BSBs were not checked.*--bsb-directory/);
+});
+
+test('exits with 1 for a BSB missing from the directory', () => {
+    const csv = join(dir, 'unknown-bsb.csv');
+    writeFileSync(csv, 'BSB,Account,Name,Amount,Reference\n083-004,1234,A,1,R\n');
+    const result = run(csv, ...OPTIONS);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Line 2: BSB: is not in the BSB directory/);
+});
+
+test('exits with 2 when an output file cannot be written', () => {
+    const result = convert('-o', join(dir, 'missing', 'example.aba'));
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /^Cannot write ".*example\.aba": ENOENT/);
+    assert.doesNotMatch(result.stderr, /\n\s+at /);
+});
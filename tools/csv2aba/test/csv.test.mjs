@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    detectDelimiter, parseCsv, parseCsvHeader, suggestColumnMapping, applyColumnMapping,
+    parseAmountToCents, AbaValidationError,
+} from '../aba.mjs';
+
+test('parseCsv reads rows keyed by header', () => {
+    const rows = parseCsv('BSB,Account\n062-010,10894862\n062-443,13741935\n');
+    assert.deepEqual(rows, [
+        { BSB: '062-010', Account: '10894862' },
+        { BSB: '062-443', Account: '13741935' },
+    ]);
+});
+
+test('parseCsv handles quoted fields', () => {
+    const [row] = parseCsv('Name,Amount,Reference\n"Smith, John","$1,250.00","say ""hi""\nagain"\n');
+    assert.deepEqual(row, { Name: 'Smith, John', Amount: '$1,250.00', Reference: 'say "hi"\nagain' });
+});
+
+test('parseCsv handles CRLF, CR and a BOM', () => {
+    const expected = [{ BSB: '062-010', Name: 'A' }, { BSB: '062-443', Name: 'B' }];
+    assert.deepEqual(parseCsv('\uFEFFBSB,Name\r\n062-010,A\r\n062-443,B\r\n'), expected);
+    assert.deepEqual(parseCsv('BSB,Name\r062-010,A\r062-443,B'), expected);
+});
+
+test('parseCsv skips blank lines and keeps line numbers', () => {
+    const rows = parseCsv('BSB,Name\n\n062-010,"multi\nline"\n\n062-443,B\n');
+    assert.deepEqual(rows.map(row => row.lineNumber), [3, 6]);
+    assert.deepEqual(Object.keys(rows[0]), ['BSB', 'Name']);
+});
+
+test('parseCsv fills missing trailing fields', () => {
+    assert.deepEqual(parseCsv('A,B,C\n1\n'), [{ A: '1', B: '', C: '' }]);
+});
+
+test('parseCsv rejects an unterminated quoted field', () => {
+    assert.throws(() => parseCsv('A,B\n1,"open\n2,3\n'), error => {
+        assert.ok(error instanceof AbaValidationError);
+        assert.equal(error.errors[0].line, 2);
+        return true;
+    });
+});
+
+test('parseCsv returns nothing for empty text', () => {
+    assert.deepEqual(parseCsv(''), []);
+    assert.deepEqual(parseCsv('\n\n'), []);
+});
+
+test('detectDelimiter picks the most frequent delimiter of the header', () => {
+    assert.equal(detectDelimiter('BSB;Account;Name\n1,2;3'), ';');
+    assert.equal(detectDelimiter('BSB\tAccount\tName'), '\t');
+    assert.equal(detectDelimiter('"A;B",C'), ',');
+    assert.equal(detectDelimiter('BSB'), ',');
+    assert.deepEqual(parseCsv('BSB;Amount\n062-010;"$1,00"\n'), [{ BSB: '062-010', Amount: '$1,00' }]);
+});
+
+test('parseCsvHeader skips leading blank lines', () => {
+    assert.deepEqual(parseCsvHeader('\n BSB , Acct \n1,2'), ['BSB', 'Acct']);
+});
+
+test('suggestColumnMapping recognises header aliases', () => {
+    const header = ['BSB Number', 'Acct', 'Payee', 'Amount (AUD)', 'Ref', 'Txn Code', 'Other'];
+    assert.deepEqual(suggestColumnMapping(header), {
+        BSB: 'BSB Number',
+        Account: 'Acct',
+        Name: 'Payee',
+        Amount: 'Amount (AUD)',
+        Reference: 'Ref',
+        'Transaction Code': 'Txn Code',
+    });
+});
+
+test('suggestColumnMapping prefers a saved mapping', () => {
+    const header = ['BSB No', 'Sort code', 'Acct'];
+    assert.equal(suggestColumnMapping(header).BSB, 'BSB No');
+    assert.equal(suggestColumnMapping(header, { BSB: 'Sort code' }).BSB, 'Sort code');
+    assert.equal(suggestColumnMapping(header, { BSB: 'Gone' }).BSB, 'BSB No');
+});
+
+test('suggestColumnMapping prefers the column name, then the earlier alias', () => {
+    const mapping = suggestColumnMapping(['Branch', 'Description', 'BSB', 'Reference', 'Payee', 'Name', 'Account No', 'Acct']);
+    assert.equal(mapping.BSB, 'BSB');
+    assert.equal(mapping.Reference, 'Reference');
+    assert.equal(mapping.Name, 'Name');
+    assert.equal(mapping.Account, 'Acct');
+    assert.equal(suggestColumnMapping(['Branch']).BSB, undefined);
+});
+
+test('applyColumnMapping renames columns and keeps line numbers', () => {
+    const rows = applyColumnMapping(parseCsv('Acct,Payee\n1234,A\n'), { Account: 'Acct', Name: 'Payee' });
+    assert.deepEqual(rows, [{ Account: '1234', Name: 'A' }]);
+    assert.equal(rows[0].lineNumber, 2);
+});
+
+test('parseAmountToCents strips dollar signs and thousands separators', () => {
+    assert.equal(parseAmountToCents('$1,250,000.05 '), 125000005);
+    assert.equal(parseAmountToCents('63'), 6300);
+    assert.equal(parseAmountToCents('0.1'), 10);
+    assert.ok(Number.isNaN(parseAmountToCents('1.234')));
+    assert.ok(Number.isNaN(parseAmountToCents('abc')));
+    assert.equal(parseAmountToCents(' $ 12.50\t'), 1250);
+    assert.ok(Number.isNaN(parseAmountToCents('12 50')));
+    assert.ok(Number.isNaN(parseAmountToCents('1 000')));
+});
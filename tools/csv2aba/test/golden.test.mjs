@@ -0,0 +1,33 @@
+// Generated ABA files compared byte for byte against known-good files in fixtures/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { parseCsv, processCsvToAba, processCsvToAbaFiles } from '../aba.mjs';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const PROFILE = JSON.parse(fixture('profile.json'));
+const PROCESS_DATE = new Date(2030, 4, 13);
+
+test('example CSV converts to example.aba', () => {
+    const aba = processCsvToAba(parseCsv(fixture('example.csv')), PROFILE, { processDate: PROCESS_DATE });
+    assert.equal(aba, fixture('example.aba'));
+});
+
+test('example CSV converts to example-nab.aba with the NAB preset', () => {
+    const profile = { ...PROFILE, fi: '' };
+    const aba = processCsvToAba(parseCsv(fixture('example.csv')), profile, { processDate: PROCESS_DATE, preset: 'NAB' });
+    assert.equal(aba, fixture('example-nab.aba'));
+});
+
+test('split files carry their own reel sequence and totals', () => {
+    const files = processCsvToAbaFiles(parseCsv(fixture('example.csv')), PROFILE, { processDate: PROCESS_DATE, maxCount: 1 });
+    assert.equal(files.length, 2);
+    const lines = fixture('example.aba').split('\n');
+    const header = reel => lines[0].slice(0, 18) + reel + lines[0].slice(20);
+    assert.deepEqual(files[0].split('\n').slice(0, 2), [header('01'), lines[1]]);
+    assert.deepEqual(files[1].split('\n').slice(0, 2), [header('02'), lines[2]]);
+    assert.equal(files[1].split('\n')[2].slice(20, 50), '000000250000000025000000000000');
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { payeeKey, hashAba, hashAbaPayments, diffAbaPayments, parseAba } from '../aba.mjs';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const detail = (name, account, amount, reference = 'fee') =>
+    ({ bsb: '062-010', account, name, amount, reference, transactionCode: '53' });
+
+test('payeeKey ignores case, spacing and account punctuation', () => {
+    assert.equal(
+        payeeKey({ name: ' Xuechan  sui', bsb: '062-010 ', account: '1089-4862' }),
+        payeeKey({ name: 'XUECHAN SUI', bsb: '062-010', account: '10894862' }),
+    );
+    assert.notEqual(
+        payeeKey({ name: 'A', bsb: '062-010', account: '1' }),
+        payeeKey({ name: 'A', bsb: '062-011', account: '1' }),
+    );
+});
+
+test('hashAba is the SHA-256 of the file content', async () => {
+    assert.equal(await hashAba(''), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    const aba = fixture('example.aba');
+    assert.equal(await hashAba(aba), await hashAba(aba));
+    assert.notEqual(await hashAba(aba), await hashAba(fixture('example-nab.aba')));
+});
+
+test('hashAbaPayments ignores the N indicator and line endings but not the payments', async () => {
+    const aba = fixture('example.aba');
+    const marked = aba.split('\n').map(line => line[0] === '1' ? line.slice(0, 17) + 'N' + line.slice(18) : line);
+    assert.notEqual(await hashAba(marked.join('\n')), await hashAba(aba));
+    assert.equal(await hashAbaPayments(marked.join('\r\n')), await hashAbaPayments(aba));
+    const changed = aba.replace('0000006300', '0000006400');
+    assert.notEqual(changed, aba);
+    assert.notEqual(await hashAbaPayments(changed), await hashAbaPayments(aba));
+});
+
+test('diffAbaPayments reports added, removed, changed and unchanged payments', () => {
+    const diff = diffAbaPayments(
+        [detail('A', '1', 100), detail('B', '2', 200), detail('C', '3', 300)],
+        [detail('a', '1', 100), detail('B', '2', 250), detail('D', '4', 400)],
+    );
+    assert.deepEqual(diff.map(d => [d.status, (d.after || d.before).name]),
+        [['unchanged', 'a'], ['changed', 'B'], ['added', 'D'], ['removed', 'C']]);
+});
+
+test('diffAbaPayments matches a payee paid twice in file order', () => {
+    const diff = diffAbaPayments(
+        [detail('A', '1', 100)],
+        [detail('A', '1', 100), detail('A', '1', 100, 'bonus')],
+    );
+    assert.deepEqual(diff.map(d => d.status), ['unchanged', 'added']);
+});
+
+test('diffAbaPayments of a file against itself has no changes', () => {
+    const { details } = parseAba(fixture('example.aba'));
+    assert.ok(diffAbaPayments(details, details).every(d => d.status === 'unchanged'));
+});
@@ -0,0 +1,96 @@
+// Invariants checked over randomly generated CSV data, seeded so failures reproduce
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    DEFAULT_PROFILE, LINE_LENGTH, BANK_PRESETS,
+    parseAba, parseAmountToCents, processCsvToAba, processCsvToAbaFiles,
+} from '../aba.mjs';
+
+const RUNS = 200;
+
+// mulberry32
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function generate(seed) {
+    const next = random(seed);
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+    const text = (min, max) => {
+        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ abcdefghijklmnopqrstuvwxyz.&';
+        const value = Array.from({ length: int(min, max) }, () => chars[int(0, chars.length - 1)]).join('');
+        return /[A-Za-z]/.test(value[0]) ? value : `A${value.slice(1)}`;
+    };
+    const digits = n => Array.from({ length: n }, () => int(0, 9)).join('');
+
+    const rows = Array.from({ length: int(0, 30) }, () => ({
+        BSB: `${digits(3)}-${digits(3)}`,
+        Account: `${int(1, 9)}${digits(int(0, 8))}`,
+        Name: text(1, 32),
+        Amount: `$${int(0, 999999)}.${digits(2)}`.replace(/^\$0\.00$/, '$0.01'),
+        Reference: text(1, 18),
+        'Transaction Code': ['', '13', '50', '53', '56'][int(0, 4)],
+    }));
+    const presets = Object.keys(BANK_PRESETS);
+    return { rows, preset: presets[int(0, presets.length - 1)], balance: next() < 0.5, maxCount: int(1, 10) };
+}
+
+const PROFILE = { ...DEFAULT_PROFILE, traceBsb: '062-000', traceAccount: '12345678' };
+// Profiles name the FI of their bank, the generic preset takes any
+const profileFor = preset => ({ ...PROFILE, fi: BANK_PRESETS[preset].fi || PROFILE.fi });
+
+test('every record is exactly 120 characters', () => {
+    for (let seed = 1; seed <= RUNS; seed++) {
+        const { rows, preset, balance } = generate(seed);
+        const aba = processCsvToAba(rows, profileFor(preset), { preset, balance, trimTrailingBlanks: false });
+        const records = aba.split(/\r?\n/).filter(line => line !== '');
+        for (const record of records) {
+            assert.equal(record.length, LINE_LENGTH, `seed ${seed}: ${JSON.stringify(record)}`);
+        }
+    }
+});
+
+test('file total record matches the detail records', () => {
+    for (let seed = 1; seed <= RUNS; seed++) {
+        const { rows, preset, balance } = generate(seed);
+        const parsed = parseAba(processCsvToAba(rows, profileFor(preset), { preset, balance }));
+        assert.deepEqual(parsed.errors, [], `seed ${seed}`);
+
+        const credits = rows.filter(row => row['Transaction Code'] !== '13');
+        const debits = rows.filter(row => row['Transaction Code'] === '13');
+        const sum = list => list.reduce((total, row) => total + parseAmountToCents(row.Amount), 0);
+        if (parsed.total.netTotal === 0 && balance) {
+            assert.equal(parsed.total.creditTotal, Math.max(sum(credits), sum(debits)), `seed ${seed}`);
+        } else {
+            assert.equal(parsed.total.creditTotal, sum(credits), `seed ${seed}`);
+            assert.equal(parsed.total.debitTotal, sum(debits), `seed ${seed}`);
+        }
+    }
+});
+
+test('split files keep every detail record once and balance each file', () => {
+    for (let seed = 1; seed <= RUNS; seed++) {
+        const { rows, preset, balance, maxCount } = generate(seed);
+        const files = processCsvToAbaFiles(rows, profileFor(preset), { preset, balance, maxCount: maxCount + 1 });
+        const details = [];
+        files.forEach((file, index) => {
+            const parsed = parseAba(file);
+            assert.deepEqual(parsed.errors, [], `seed ${seed}`);
+            assert.equal(Number(parsed.descriptive.reelSequence), index + 1, `seed ${seed}`);
+            assert.ok(parsed.details.length <= maxCount + 1, `seed ${seed}`);
+            if (balance) {
+                assert.equal(parsed.total.netTotal, 0, `seed ${seed}`);
+            }
+            details.push(...parsed.details.filter(d => !(d.bsb === '062-000' && d.account === '12345678')));
+        });
+        assert.deepEqual(details.map(d => d.amount), rows.map(row => parseAmountToCents(row.Amount)), `seed ${seed}`);
+    }
+});
@@ -0,0 +1,85 @@
+// Record builders against the examples in the spec comments of aba.mjs
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    DEFAULT_PROFILE, LINE_LENGTH,
+    generate_descriptive_record, generate_detail_record, generate_file_total_record, generate_balancing_record,
+} from '../aba.mjs';
+
+const PROFILE = {
+    ...DEFAULT_PROFILE,
+    userName: 'MY NAME',
+    apcaId: '111111',
+    remitter: 'MY ACCOUNT',
+    traceBsb: '062-000',
+    traceAccount: '12223123',
+};
+
+test('descriptive record matches the spec example', () => {
+    const profile = { ...PROFILE, fi: 'BQL', description: '1004231633' };
+    const record = generate_descriptive_record(profile, new Date(2010, 3, 23));
+    const example = '0                 01BQL       MY NAME                   1111111004231633  230410';
+    assert.equal(record, example.padEnd(LINE_LENGTH, ' '));
+});
+
+test('descriptive record writes the reel sequence number', () => {
+    const record = generate_descriptive_record(PROFILE, new Date(2030, 0, 2), 12);
+    assert.equal(record.slice(18, 20), '12');
+    assert.equal(record.slice(74, 80), '020130');
+});
+
+test('detail record matches the spec example', () => {
+    const row = { BSB: '000-000', Account: '157108231', Name: 'S R SMITH', Amount: '12.34', Reference: 'TEST BATCH' };
+    const [record, amount_in_cents] = generate_detail_record(row, PROFILE);
+    const example = '1000-000157108231 530000001234S R SMITH                       TEST BATCH        062-000 12223123MY ACCOUNT      00001200';
+    // Withholding tax is not supported, the example deducts $12.00
+    assert.equal(record.slice(0, 112), example.slice(0, 112));
+    assert.equal(record.slice(112), '00000000');
+    assert.equal(amount_in_cents, 1234);
+});
+
+test('detail record uses the transaction code column', () => {
+    const row = { BSB: '062-000', Account: '1234', Name: 'A', Amount: '1', Reference: 'R', 'Transaction Code': '13' };
+    const [record] = generate_detail_record(row, PROFILE);
+    assert.equal(record.slice(18, 20), '13');
+});
+
+test('detail record traces to the profile account, not the payee', () => {
+    const row = { BSB: '062-443', Account: '13741935', Name: 'A', Amount: '1', Reference: 'R' };
+    const [record] = generate_detail_record(row, PROFILE);
+    assert.equal(record.slice(80, 96), '062-000 12223123');
+});
+
+test('detail record skips blank rows', () => {
+    const row = { BSB: ' ', Account: '', Name: '', Amount: ' ', Reference: '' };
+    assert.deepEqual(generate_detail_record(row, PROFILE), [null, null]);
+});
+
+test('file total record matches the spec example', () => {
+    const aba_content = ['0', '1', '1', '1', '1'];
+    const record = generate_file_total_record(aba_content, 3129247, 0);
+    const example = '7999-999            000312924700031292470000000000                        000004';
+    assert.equal(record, example.padEnd(LINE_LENGTH, ' '));
+});
+
+test('file total record nets credits and debits', () => {
+    const record = generate_file_total_record(['0', '1', '1'], 1000, 2500);
+    assert.equal(record.slice(20, 50), '000000150000000010000000002500');
+});
+
+test('balancing record debits the trace account for credits', () => {
+    const [record, row] = generate_balancing_record(PROFILE, 8800, 0);
+    assert.equal(row['Transaction Code'], '13');
+    assert.equal(record.slice(0, 30), '1062-000 12223123 130000008800');
+});
+
+test('balancing record credits the trace account for debits', () => {
+    const [record] = generate_balancing_record(PROFILE, 100, 350);
+    assert.equal(record.slice(18, 30), '500000000250');
+});
+
+test('balancing record is not needed for a balanced file', () => {
+    assert.deepEqual(generate_balancing_record(PROFILE, 100, 100), [null, null]);
+});
@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { parseCsv, parseAba, buildAbaBatches, formatAbaBatch, processCsvToAbaFiles } from '../aba.mjs';
+import { summaryReportHtml, remittanceAdvices, journalEntries, journalCsv, journalJson } from '../reports.mjs';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const PROFILE = { ...JSON.parse(fixture('profile.json')), fi: 'NAB' };
+const OPTIONS = { processDate: new Date(2030, 4, 13), preset: 'NAB' };
+
+const batches = () => buildAbaBatches(parseCsv(fixture('example.csv')), PROFILE, OPTIONS);
+
+test('buildAbaBatch payments and total are the records of the ABA file', () => {
+    const [batch] = batches();
+    assert.equal(formatAbaBatch(batch), fixture('example-nab.aba'));
+    const parsed = parseAba(formatAbaBatch(batch));
+    assert.deepEqual(batch.payments.map(({ line, balancing, ...detail }) => detail),
+        parsed.details.map(({ line, ...detail }) => detail));
+    assert.deepEqual(batch.payments.map(p => [p.line, p.balancing]), [[2, false], [3, false], [null, true]]);
+    assert.deepEqual(batch.total, parsed.total);
+});
+
+test('buildAbaBatches formats to the same files as processCsvToAbaFiles', () => {
+    const csvData = parseCsv(fixture('example.csv'));
+    const options = { ...OPTIONS, maxCount: 2 };
+    assert.deepEqual(buildAbaBatches(csvData, PROFILE, options).map(formatAbaBatch),
+        processCsvToAbaFiles(csvData, PROFILE, options));
+});
+
+test('summaryReportHtml shows each payment and the file total record', () => {
+    const html = summaryReportHtml(batches(), { names: ['pay.aba'], generatedAt: new Date(0) });
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<td>pay\.aba<\/td>/);
+    assert.match(html, /XUECHAN SUI/);
+    assert.match(html, /<td>balancing<\/td>/);
+    assert.match(html, /<td class="amount">\$0\.00<\/td><td class="amount">\$88\.00<\/td><td class="amount">\$88\.00<\/td><td>3<\/td>/);
+});
+
+test('summaryReportHtml escapes CSV text', () => {
+    const [batch] = batches();
+    batch.payments[0].name = '<b>&</b>';
+    assert.match(summaryReportHtml([batch]), /&#60;b&#62;&#38;&#60;\/b&#62;/);
+});
+
+test('remittanceAdvices has one document per payee payment', () => {
+    const advices = remittanceAdvices(batches());
+    assert.deepEqual(advices.map(a => a.name),
+        ['2030-05-13-XUECHAN-SUI-1-2.html', '2030-05-13-JINGCHONG-ZHANG-1-3.html']);
+    assert.match(advices[0].content, /We have paid <strong>\$63\.00<\/strong>/);
+    assert.match(advices[0].content, /processed on 13\/05\/2030/);
+});
+
+test('journalEntries lists every detail record with its type', () => {
+    assert.deepEqual(journalEntries(batches()).map(e => [e.line, e.type, e.amount, e.balancing]), [
+        [2, 'credit', '63.00', false],
+        [3, 'credit', '25.00', false],
+        [null, 'debit', '88.00', true],
+    ]);
+});
+
+test('journalCsv and journalJson export the journal', () => {
+    const csv = journalCsv(batches()).split('\r\n');
+    assert.equal(csv[0], 'Date,Reel,Line,Name,BSB,Account,Reference,Transaction Code,Type,Amount,Balancing');
+    assert.equal(csv[1], '2030-05-13,1,2,XUECHAN SUI,062-010,10894862,teacher fee,53,credit,63.00,');
+    assert.equal(csv[3], '2030-05-13,1,,VOLO1ST PTY LTD,062-000,12345678,PAYROLL,13,debit,88.00,Y');
+
+    const { files } = JSON.parse(journalJson(batches()));
+    assert.equal(files.length, 1);
+    assert.equal(files[0].creditTotal, '88.00');
+    assert.equal(files[0].entries.length, 3);
+});
@@ -0,0 +1,17 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { summariseRows, findDuplicateRows } from '../aba.mjs';
+
+const row = (Account, Amount, extra = {}) => ({ BSB: '062-010', Account, Name: 'A', Amount, Reference: 'R', ...extra });
+const BLANK = { BSB: '', Account: '', Name: '', Amount: '', Reference: '' };
+
+test('summariseRows totals credits and debits and skips blank rows', () => {
+    const rows = [row('1', '$1,000.00'), row('2', '2.50', { 'Transaction Code': '13' }), BLANK, row('3', 'abc')];
+    assert.deepEqual(summariseRows(rows), { count: 3, creditTotal: 100000, debitTotal: 250, skipped: 1 });
+});
+
+test('findDuplicateRows groups rows with the same BSB, account and amount', () => {
+    const rows = [row('1234', '$5'), row('9', '5'), row('12-34', '5.00'), BLANK, BLANK, row('1234', '6')];
+    assert.deepEqual(findDuplicateRows(rows), [[0, 2]]);
+});
@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    DEFAULT_PROFILE, AbaValidationError,
+    validateRow, validateProfile, processCsvToAba,
+    nextBusinessDay, validateProcessingDate, formatDateISO,
+} from '../aba.mjs';
+
+const ROW = { BSB: '062-010', Account: '10894862', Name: 'XUECHAN SUI', Amount: '$63.00', Reference: 'teacher fee' };
+
+const fields = errors => errors.map(error => error.field);
+
+test('validateRow accepts a valid row', () => {
+    assert.deepEqual(validateRow(ROW, 2), []);
+});
+
+test('validateRow checks every field', () => {
+    const row = { BSB: '062010', Account: '1234567890', Name: 'N'.repeat(40), Amount: '0', Reference: '', 'Transaction Code': '99' };
+    const errors = validateRow(row, 7);
+    assert.deepEqual(fields(errors), ['BSB', 'Account', 'Name', 'Reference', 'Amount', 'Transaction Code']);
+    assert.ok(errors.every(error => error.line === 7));
+});
+
+test('validateRow rejects negative and oversized amounts', () => {
+    assert.equal(validateRow({ ...ROW, Amount: '-$5.00' }, 2)[0].message, 'must be greater than zero');
+    assert.equal(validateRow({ ...ROW, Amount: '100000000.00' }, 2)[0].message, 'must be at most 10 digits in cents');
+});
+
+test('validateRow rejects an account of all zeros', () => {
+    assert.deepEqual(fields(validateRow({ ...ROW, Account: '00-0000' }, 2)), ['Account']);
+});
+
+const PROFILE = { ...DEFAULT_PROFILE, traceBsb: '062-000', traceAccount: '12345678' };
+
+test('validateProfile requires the trace BSB and account', () => {
+    assert.deepEqual(validateProfile(PROFILE), []);
+    assert.deepEqual(fields(validateProfile(DEFAULT_PROFILE)), ['Profile trace BSB', 'Profile trace account']);
+});
+
+test('the preset names the FI of a profile without one and rejects a different one', () => {
+    const aba = processCsvToAba([ROW], { ...PROFILE, fi: '' }, { preset: 'WBC' });
+    assert.equal(aba.slice(20, 23), 'WBC');
+    assert.equal(processCsvToAba([ROW], { ...PROFILE, fi: 'WBC' }, { preset: 'WBC' }).slice(20, 23), 'WBC');
+    assert.equal(processCsvToAba([ROW], PROFILE, { preset: 'GENERIC' }).slice(20, 23), 'CBA');
+    assert.throws(() => processCsvToAba([ROW], PROFILE, { preset: 'WBC' }), error => {
+        assert.deepEqual(fields(error.errors), ['Profile FI']);
+        assert.match(error.errors[0].message, /WBC preset is for WBC/);
+        return true;
+    });
+});
+
+test('processCsvToAba reports errors with CSV line numbers', () => {
+    const rows = [ROW, { ...ROW, BSB: '', Amount: 'abc' }];
+    Object.defineProperty(rows[1], 'lineNumber', { value: 5 });
+    assert.throws(() => processCsvToAba(rows, PROFILE), error => {
+        assert.ok(error instanceof AbaValidationError);
+        assert.deepEqual(error.errors.map(e => `${e.line} ${e.field}`), ['5 BSB', '5 Amount']);
+        return true;
+    });
+});
+
+test('nextBusinessDay skips weekends and public holidays', () => {
+    assert.equal(formatDateISO(nextBusinessDay(new Date(2030, 4, 10))), '2030-05-13');
+    assert.equal(formatDateISO(nextBusinessDay(new Date(2027, 11, 24))), '2027-12-29');
+});
+
+test('validateProcessingDate rejects past dates and warns on non business days', () => {
+    const today = new Date(2030, 3, 1, 15, 30);
+    assert.deepEqual(validateProcessingDate(new Date(2030, 3, 1), today), { errors: [], warnings: [] });
+    assert.equal(validateProcessingDate(new Date(2030, 2, 31), today).errors.length, 1);
+    assert.equal(validateProcessingDate(new Date(2030, 3, 6), today).warnings.length, 1);
+    assert.match(validateProcessingDate(new Date(2030, 3, 19), today).warnings[0], /Good Friday/);
+});